@@ -0,0 +1,78 @@
+const DBjs = require('./dbjs').DBjs;
+const fs = require('fs');
+
+// insert and get throughput, run with: node benchmark.js [number of keys]
+
+const num_keys = parseInt(process.argv[2] || '1000000');
+const step = Math.max(1, Math.floor(num_keys / 10));
+
+const config = {
+  persist_after_MB: 20,
+  persist_after_seconds: 12 * 60 * 60,
+  database_path: '/tmp/dbjs_benchmark/',
+  flush_interval: 60 * 60,
+  debug: false,
+  file_cache_MB: 256,
+};
+
+function measure(label, fn) {
+  const start = process.hrtime.bigint();
+  const count = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const throughput = count !== undefined ? `, ${Math.round(count / ms * 1000)} ops/s` : '';
+  console.log(`${label}: ${ms.toFixed(0)} ms${throughput}`);
+}
+
+fs.rmSync(config.database_path, { recursive: true, force: true });
+
+let db_js = new DBjs(config);
+
+// the throughput of every step stays the same while the database grows
+for (let from = 0; from < num_keys; from += step) {
+  const to = Math.min(from + step, num_keys);
+  measure(`set() keys ${from} - ${to}`, () => {
+    for (let i = from; i < to; i++) {
+      db_js.set('key_' + i, { i: i, text: 'value of key ' + i });
+    }
+    return to - from;
+  });
+}
+
+measure(`get() ${step} keys from the memory cache`, () => {
+  for (let n = 0; n < step; n++) {
+    db_js.get('key_' + (num_keys - 1 - (n % db_js.cache_size())));
+  }
+  return step;
+});
+
+measure(`get() ${step} random keys`, () => {
+  for (let n = 0; n < step; n++) {
+    db_js.get('key_' + Math.floor(Math.random() * num_keys));
+  }
+  return step;
+});
+
+measure(`getn() most recent 100 values, ${step} times`, () => {
+  for (let n = 0; n < step; n++) {
+    db_js.getn([0, 100]);
+  }
+  return step;
+});
+
+measure('set() updates of 10000 keys, then flush', () => {
+  for (let n = 0; n < 10000; n++) {
+    db_js.set('key_' + (num_keys - 1 - n), { updated: true });
+  }
+  db_js._flush();
+  return 10000;
+});
+
+measure('close()', () => db_js.close());
+
+measure(`open with ${num_keys} keys`, () => {
+  db_js = new DBjs(config);
+});
+console.log(`index size: ${db_js.index_size()}, archived files: ${db_js._getFiles(false).length}`);
+db_js.close();
+
+fs.rmSync(config.database_path, { recursive: true, force: true });
@@ -1,5 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const util = require('util');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const EventEmitter = require('events');
 
 /**
  * 
@@ -10,17 +16,438 @@ const path = require('path');
  * 
  */
 
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+const brotli_compress = util.promisify(zlib.brotliCompress);
+const brotli_decompress = util.promisify(zlib.brotliDecompress);
+
+// bytes of an offset in the offset table of a segment, see _read_offsets()
+const OFFSET_BYTES = 8;
+
+// age after which a lockfile that cannot be parsed is stale, see _take_over_stale_lock()
+const LOCK_STALE_SECONDS = 10;
+
+// file extension of compressed archived files
+const COMPRESSION_EXTENSIONS = {
+  none: '',
+  gzip: '.gz',
+  brotli: '.br',
+};
+
 function round(number, decimalPlaces) {
   const factorOfTen = Math.pow(10, decimalPlaces);
   return Math.round(number * factorOfTen) / factorOfTen;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Returns the value at the dot separated `field_path` of `obj`, 
+ * for example `user.email`.
+ * 
+ * @param {*} obj 
+ * @param {string} field_path 
+ * @returns the field value or undefined if the path does not exist
+ */
+function get_field(obj, field_path) {
+  let current = obj;
+  for (let part of field_path.split('.')) {
+    // inherited properties such as `constructor` are not fields of the value
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * Returns a deep copy of a value that was parsed from JSON, so that 
+ * callers cannot modify the values kept in the file cache.
+ */
+function copy_value(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function is_plain_object(obj) {
+  return obj !== null && typeof obj === 'object' && !Array.isArray(obj);
+}
+
+function equals(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+function compare(a, b) {
+  if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) {
+    return NaN;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Compiles the condition of a single field into a test function.
+ * 
+ * A condition is either a plain value (deep equality) or an object of 
+ * operators: `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, 
+ * `$exists` and `$regex` (with optional `$options`).
+ * 
+ * @param {string} field 
+ * @param {*} condition 
+ * @returns a function `(field_value) => boolean`
+ */
+function compile_condition(field, condition) {
+  const operators = is_plain_object(condition) ? Object.keys(condition).filter((key) => key.startsWith('$')) : [];
+
+  if (operators.length === 0) {
+    return (value) => equals(value, condition);
+  }
+
+  if (operators.length !== Object.keys(condition).length) {
+    throw Error(`InvalidQuery: condition of field ${field} mixes operators and values`);
+  }
+
+  if (operators.includes('$options') && !operators.includes('$regex')) {
+    throw Error(`InvalidQuery: $options of field ${field} requires $regex`);
+  }
+
+  let tests = [];
+  for (let op of operators) {
+    const operand = condition[op];
+    switch (op) {
+      case '$eq':
+        tests.push((value) => equals(value, operand));
+        break;
+      case '$ne':
+        tests.push((value) => !equals(value, operand));
+        break;
+      case '$gt':
+        tests.push((value) => compare(value, operand) > 0);
+        break;
+      case '$gte':
+        tests.push((value) => compare(value, operand) >= 0);
+        break;
+      case '$lt':
+        tests.push((value) => compare(value, operand) < 0);
+        break;
+      case '$lte':
+        tests.push((value) => compare(value, operand) <= 0);
+        break;
+      case '$in':
+      case '$nin':
+        if (!Array.isArray(operand)) {
+          throw Error(`InvalidQuery: ${op} of field ${field} must be an array`);
+        }
+        if (op === '$in') {
+          tests.push((value) => operand.some((item) => equals(value, item)));
+        } else {
+          tests.push((value) => !operand.some((item) => equals(value, item)));
+        }
+        break;
+      case '$exists':
+        tests.push((value) => (value !== undefined) === Boolean(operand));
+        break;
+      case '$regex': {
+        if (typeof operand !== 'string') {
+          throw Error(`InvalidQuery: $regex of field ${field} must be a string`);
+        }
+        let regex;
+        try {
+          regex = new RegExp(operand, condition.$options || '');
+        } catch (err) {
+          throw Error(`InvalidQuery: $regex of field ${field} is invalid: ${err.message}`);
+        }
+        tests.push((value) => typeof value === 'string' && regex.test(value));
+        break;
+      }
+      case '$options':
+        break;
+      default:
+        throw Error(`InvalidQuery: unknown operator ${op} for field ${field}`);
+    }
+  }
+
+  return (value) => tests.every((test) => test(value));
+}
+
+/**
+ * Compiles a declarative JSON query into a predicate function.
+ * 
+ * Every key of the query is a dot separated field path with a condition 
+ * (see `compile_condition()`). All conditions must match. 
+ * `$and` and `$or` combine an array of queries.
+ * 
+ * Example: `{"$or": [{"user.email": {"$regex": "@example\\.com$"}}, {"user.age": {"$gte": 18}}]}`
+ * 
+ * @param {*} query 
+ * @returns a function `(value) => boolean`
+ */
+function compile_query(query) {
+  if (!is_plain_object(query)) {
+    throw Error('InvalidQuery: query must be an object');
+  }
+
+  let tests = [];
+  for (let key in query) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(query[key]) || query[key].length === 0) {
+        throw Error(`InvalidQuery: ${key} must be a non-empty array of queries`);
+      }
+      const compiled = query[key].map(compile_query);
+      if (key === '$and') {
+        tests.push((value) => compiled.every((test) => test(value)));
+      } else {
+        tests.push((value) => compiled.some((test) => test(value)));
+      }
+    } else if (key.startsWith('$')) {
+      throw Error(`InvalidQuery: unknown operator ${key}`);
+    } else {
+      const test = compile_condition(key, query[key]);
+      tests.push((value) => test(get_field(value, key)));
+    }
+  }
+
+  return (value) => tests.every((test) => test(value));
+}
+
+/**
+ * Quotes a CSV field if it contains a quote, a comma or a line break.
+ * 
+ * @param {string} field 
+ * @returns 
+ */
+function csv_field(field) {
+  if (/[",\r\n]/.test(field)) {
+    return '"' + field.replace(/"/g, '""') + '"';
+  }
+  return field;
+}
+
+/**
+ * Splits a CSV record into its fields. Quoted fields may contain 
+ * commas, line breaks and quotes escaped as `""`.
+ * 
+ * @param {string} record 
+ * @returns an array of strings
+ */
+function parse_csv_record(record) {
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let n = 0; n < record.length; n++) {
+    const char = record[n];
+    if (quoted) {
+      if (char === '"' && record[n + 1] === '"') {
+        field += '"';
+        n++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields;
+}
+
+/**
+ * Reads the lines of a stream of Buffers or strings.
+ * 
+ * @param {*} stream - a `Readable`
+ */
+async function* read_lines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+
+  for await (let chunk of stream) {
+    rest += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let lines = rest.split('\n');
+    rest = lines.pop();
+    for (let line of lines) {
+      yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+  }
+
+  rest += decoder.end();
+  if (rest.length > 0) {
+    yield rest.endsWith('\r') ? rest.slice(0, -1) : rest;
+  }
+}
+
+/**
+ * Reads the records of a CSV stream. A record continues on the 
+ * next line as long as it contains an odd number of quotes.
+ * 
+ * @param {*} stream - a `Readable`
+ */
+async function* read_csv_records(stream) {
+  let record = null;
+
+  for await (let line of read_lines(stream)) {
+    if (record === null && line.length === 0) {
+      continue;
+    }
+    record = record === null ? line : record + '\n' + line;
+    if ((record.match(/"/g) || []).length % 2 === 0) {
+      yield parse_csv_record(record);
+      record = null;
+    }
+  }
+
+  if (record !== null) {
+    throw Error('InvalidImport: CSV ends inside a quoted field');
+  }
+}
+
+/**
+ * The index is a `Map` of key -> entry in memory and an object in index.json.
+ * 
+ * @param {Map} index 
+ * @returns the object stored in index.json
+ */
+function index_to_json(index) {
+  return Object.fromEntries(index);
+}
+
+function index_from_json(object) {
+  return new Map(Object.entries(object));
+}
+
+/**
+ * The reverse index is an array of slot -> key (`null` for tombstones) 
+ * in memory and an object with the slots as keys in rindex.json.
+ * 
+ * @param {Array} rindex 
+ * @returns the object stored in rindex.json
+ */
+function rindex_to_json(rindex) {
+  let object = {};
+  for (let slot = 0; slot < rindex.length; slot++) {
+    object[slot] = rindex[slot];
+  }
+  return object;
+}
+
+function rindex_from_json(object) {
+  let rindex = [];
+  for (let slot in object) {
+    rindex[parseInt(slot)] = object[slot];
+  }
+  return rindex;
+}
+
+/**
+ * A secondary index maps every stringified field value to a `Set` of keys 
+ * in memory and to an array of keys in sindex.json.
+ * 
+ * @param {*} sindex - field -> stringified value -> Set of keys
+ * @returns the object stored in sindex.json
+ */
+function sindex_to_json(sindex) {
+  let object = {};
+  for (let field in sindex) {
+    object[field] = {};
+    for (let stringified in sindex[field]) {
+      object[field][stringified] = Array.from(sindex[field][stringified]);
+    }
+  }
+  return object;
+}
+
+function sindex_from_json(object) {
+  let sindex = {};
+  for (let field in object) {
+    sindex[field] = {};
+    for (let stringified in object[field]) {
+      sindex[field][stringified] = new Set(object[field][stringified]);
+    }
+  }
+  return sindex;
+}
+
+/**
+ * Least recently used cache with a memory bound in bytes.
+ */
+class LRUCache {
+  constructor(max_bytes) {
+    this.max_bytes = max_bytes;
+    this.bytes = 0;
+    // a Map iterates in insertion order, the least recently used entry comes first
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, bytes) {
+    this.delete(key);
+    if (bytes > this.max_bytes) {
+      return;
+    }
+    this.entries.set(key, { value: value, bytes: bytes });
+    this.bytes += bytes;
+    while (this.bytes > this.max_bytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      this.entries.delete(key);
+      this.bytes -= entry.bytes;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
 }
 
-class DBjs {
-  constructor(user_config = {}) {
+/**
+ * DBjs emits the following events:
+ * 
+ * - `set` - `{type, key, index, seq, ts}` after a key was inserted or updated, `type` is 'insert' or 'update'
+ * - `flush` - `{cache_size, index_size}` after cache/index/reverse index were written to disk
+ * - `archive` - `{file, size}` after `_persist()` archived the memory cache
+ * - `consistency_error` - the error of a failed consistency check of an open database, 
+ *   that is in `refresh()` and `repair()`. A failed check while opening the database 
+ *   is thrown by the constructor, before any listener can be added.
+ * - `close` - after the database was closed
+ * 
+ * Errors of listeners are logged and never interrupt the database operation. 
+ * Events of operations that hold the persist lock are emitted after it is 
+ * released, so that listeners can use the API.
+ */
+class DBjs extends EventEmitter {
+  /**
+   * @param {*} user_config 
+   * @param {*} parent - the database that owns this collection, see `collection()`
+   */
+  constructor(user_config = {}, parent = null) {
+    super();
+
     if (user_config && typeof user_config !== 'object') {
       throw Error('user_config must be of type object');
     }
@@ -44,6 +471,32 @@ class DBjs {
       max_key_size_bytes: 1024,
       // max value size in bytes
       max_value_size_bytes: 1048576,
+      // whether to append every write to a journal file that is replayed after a crash
+      journal: false,
+      // when to fsync the journal: 'always' (after every write), 'off' or an interval in ms
+      journal_fsync: 'always',
+      // dot separated value fields with a secondary index, e.g. ['user.email']
+      indexes: [],
+      // max size in MB (as uncompressed JSON text) of parsed archived files kept in memory for get(), 0 disables it
+      file_cache_MB: 0,
+      // format of archived files: 'json' (one JSON array) or 'ndjson' (one value per line with an offset table)
+      archive_format: 'json',
+      // compression of archived files: 'none', 'gzip' (.json.gz) or 'brotli' (.json.br)
+      compression: 'none',
+      // remove archived files that were archived more than this many seconds ago, 0 disables it
+      retention_max_age_seconds: 0,
+      // remove the oldest archived files while all archived files take more than this many MB, 0 disables it
+      retention_max_total_MB: 0,
+      // open the database without writing to it, see refresh()
+      read_only: false,
+      // keep the previous values of updated keys in history.json, see history()
+      keep_history: false,
+      // max number of previous values per key
+      max_history: 10,
+      // rebuild index, reverse index and meta.json from the data files when opening the database, see repair()
+      repair_on_open: false,
+      // max size in MB of index.log before the index and reverse index are written to index.json and rindex.json, 0 writes them on every flush
+      index_checkpoint_MB: 16,
     };
 
     // set logfile key as first
@@ -58,28 +511,33 @@ class DBjs {
       }
     }
 
+    if (!fs.existsSync(this.config.database_path) && this.config.read_only === true) {
+      this._log(`ReadOnly: database folder ${this.config.database_path} does not exist`, 'INFO', true);
+    }
+
     if (!fs.existsSync(this.config.database_path)) {
       this._log(`db.js - creating database folder ${this.config.database_path}`);
-      fs.mkdirSync(this.config.database_path);
+      fs.mkdirSync(this.config.database_path, { recursive: true });
     }
 
     this._check_config();
 
+    // values of the memory cache in insertion order, the memory cache file 
+    // stores them most recently inserted value first, see _cache_values()
     this.cache = [];
     let self = this;
 
-    this.flush_interval_id = setInterval(function () {
-      self._persist()
-    }, (this.config.flush_interval * 1000));
-
-    // used to know when to archive the cache 
-    this.started = (new Date()).getTime();
-    this._load_cache();
-    this.index = this._load_index();
-    this.rindex = this._load_index('rindex.json');
-    this.meta = this._load_meta();
+    // collections are persisted by the flush interval of their parent
+    this._parent = parent;
+    // open collections by name
+    this._collections = {};
 
-    this._consistency_checks();
+    // a read-only database never persists
+    if (parent === null && this.config.read_only !== true) {
+      this.flush_interval_id = setInterval(function () {
+        self._on_flush_interval();
+      }, (this.config.flush_interval * 1000));
+    }
 
     // cache hit counters
     // increment when an item was read from memory
@@ -90,10 +548,57 @@ class DBjs {
     this._file_cache_read_counter = 0;
     // increment when a value was written to disk
     this._file_cache_write_counter = 0;
+    // increment when a parsed archived file was found/not found in the file cache
+    this._file_lru_hit_counter = 0;
+    this._file_lru_miss_counter = 0;
+
+    // parsed archived files, used by get() and updates
+    this._file_lru = new LRUCache(this.config.file_cache_MB * 1024 * 1024);
 
     // used to prevent inconsistent database state 
     // when persisting data
     this._persist_lock = false;
+    // events emitted while the persist lock is held, see _emit_unlocked()
+    this._deferred_events = [];
+
+    // number of running iterate() calls, archived files are not removed while they read them
+    this._open_iterators = 0;
+
+    // [seq, key] pairs ordered by sequence number, see changes(), built on the 
+    // first call for the current index. Pairs of keys that were written again 
+    // or deleted are skipped and removed by _trim_change_log()
+    this._change_log = [];
+    this._change_log_index = null;
+
+    // file descriptor of the write-ahead journal
+    this.journal_fd = null;
+
+    this._lock_acquired = false;
+
+    try {
+      // no other DBjs instance may open the database directory
+      this._acquire_lock();
+
+      // used to know when to archive the cache 
+      this.started = (new Date()).getTime();
+
+      // report of the last repair, see repair()
+      this.repair_report = null;
+      if (this.config.repair_on_open === true) {
+        this.repair_report = this._repair();
+      }
+
+      this._load_state();
+
+      this._load_secondary_indexes();
+
+      this._open_journal();
+    } catch (err) {
+      clearInterval(this.flush_interval_id);
+      this._close_journal();
+      this._release_lock();
+      throw err;
+    }
 
     this.info();
 
@@ -103,11 +608,81 @@ class DBjs {
     this.kill_event_listeners = {};
     // https://stackoverflow.com/questions/14031763/doing-a-cleanup-action-just-before-node-js-exits
     for (let event_type of event_types) {
+      if (parent !== null || this.config.read_only === true) {
+        break;
+      }
       this.kill_event_listeners[event_type] = this._on_kill.bind(this, event_type);
       process.on(event_type, this.kill_event_listeners[event_type]);
     }
   }
 
+  /**
+   * Deletes expired keys and persists the memory cache of the 
+   * database and of all open collections.
+   */
+  _on_flush_interval() {
+    for (let db of [this].concat(Object.values(this._collections))) {
+      db._sweep_expired();
+      db._persist();
+    }
+  }
+
+  /**
+   * Loads meta.json, the memory cache, the indices and the history, 
+   * replays the journal and checks the consistency of the database.
+   */
+  _load_state() {
+    this._recover_compaction();
+    this.meta = this._load_meta();
+    this._recover_archive();
+    this._load_cache();
+    this._load_indices();
+    this._drop_unindexed_values();
+    this.sindex = sindex_from_json(this._load_index('sindex.json'));
+    // previous values of updated keys, see history()
+    this.versions = this._load_history();
+    // keys might have been deleted or max_history lowered while keep_history was disabled
+    this._trim_history();
+    this._assign_sequence_numbers();
+
+    // earliest expiry timestamp of all keys with a TTL
+    this._next_expiry = this._find_next_expiry();
+
+    // apply the writes that happened after the last flush
+    this._replay_journal();
+    this._replay_batch();
+
+    this._consistency_checks();
+  }
+
+  /**
+   * Repairs the database in `database_path`, see `repair()`.
+   * 
+   * @param {string} database_path 
+   * @param {*} user_config - further config of the database
+   * @returns the report `{fixed, unrecoverable, quarantined}`
+   */
+  static repair(database_path, user_config = {}) {
+    const db_js = new DBjs(Object.assign({}, user_config, {
+      database_path: database_path,
+      repair_on_open: true,
+    }));
+    const report = db_js.repair_report;
+    db_js.close();
+
+    return report;
+  }
+
+  /**
+   * Opens a database with the Promise-based API.
+   * 
+   * @param {*} user_config 
+   * @returns an `AsyncDBjs` instance
+   */
+  static async open(user_config = {}) {
+    return new AsyncDBjs(new DBjs(user_config));
+  }
+
   _on_kill(event, args) {
     this._log(`db.js - _on_kill() - ${event}`);
     if (event === `uncaughtException`) {
@@ -116,7 +691,14 @@ class DBjs {
     if (this.on_kill_called === false) {
       this.on_kill_called = true;
       clearInterval(this.flush_interval_id);
+      for (let name in this._collections) {
+        this._collections[name]._persist();
+        this._collections[name]._close_journal();
+        this._collections[name]._release_lock();
+      }
       this._persist();
+      this._close_journal();
+      this._release_lock();
       process.exit();
     }
   }
@@ -130,54 +712,508 @@ class DBjs {
    */
   close() {
     this._log(`db.js - close()`);
-    // persist
-    this._persist();
-    for (let event_type in this.kill_event_listeners) {
-      process.removeListener(event_type, this.kill_event_listeners[event_type]);
+    for (let name in this._collections) {
+      this._collections[name].close();
     }
-    clearInterval(this.flush_interval_id);
+    // persist, index.log is written into index.json and rindex.json
+    if (this.config.read_only !== true) {
+      this._index_checkpoint = true;
+      this._persist();
+    }
+    this._release();
+    this._emit('close');
   }
 
   /**
-   * Return all kinds of metadata for the dbjs.js database.
+   * Calls the listeners of `event` like `emit()`, but a failing listener 
+   * is logged and does not interrupt the database operation.
+   * 
+   * @param {string} event 
+   * @param  {...any} args 
    */
-  info() {
-    this._log(`[INFO] - Config: ` + JSON.stringify(this.config, null, 2));
-
-    this._log(`[INFO] - Database path: ${this.config.database_path}`);
-    this._log(`[INFO] - Database archive prefix: ${this.config.file_prefix}`);
-
-    this._log(`[INFO] - Database index size: ${this.index_size()}`);
-    this._log(`[INFO] - Database reverse index size: ${this.rindex_size()}`);
-
-    this._log(`[INFO] - Cache size: ${this.cache_size()}`);
+  _emit(event, ...args) {
+    for (let listener of this.rawListeners(event)) {
+      try {
+        const result = listener.apply(this, args);
+        if (result && typeof result.catch === 'function') {
+          result.catch((err) => this._log(`db.js - ${event} listener failed: ${err.message}`));
+        }
+      } catch (err) {
+        this._log(`db.js - ${event} listener failed: ${err.message}`);
+      }
+    }
+  }
 
-    let files = this._getFiles(true);
-    this._log(`[INFO] - Database files (most recently created file first, oldest file last): ` + files);
+  /**
+   * Reloads the index, the reverse index, meta.json and the memory cache 
+   * file, as they were flushed by the process that writes to the database.
+   * 
+   * Only available in read-only mode. If the files are inconsistent, 
+   * because the writing process is flushing right now, loading is repeated.
+   * If the files stay inconsistent, the previous state is kept and an error is thrown.
+   */
+  refresh() {
+    if (this.config.read_only !== true) {
+      this._log(`ReadOnly: refresh() is only available in read-only mode`, 'INFO', true);
+    }
 
-    for (let file of files) {
-      let contents = fs.readFileSync(this._path(file)).toString();
-      let parsed_data = JSON.parse(contents);
-      this._log(`[INFO] - File: ${file} - Length: ${parsed_data.length}`);
+    const previous = [this.meta, this.cache, this.cache_file_name, this.index, this.rindex, this.sindex, this.versions];
+    let error = null;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        this.meta = this._load_meta();
+        this._load_cache();
+        this._load_indices();
+        this._drop_unindexed_values();
+        this.sindex = sindex_from_json(this._load_index('sindex.json'));
+        this.versions = this._load_history();
+        this._assign_sequence_numbers();
+        this._consistency_checks();
+        this._load_secondary_indexes();
+        this._next_expiry = this._find_next_expiry();
+        this._file_lru.clear();
+        return true;
+      } catch (err) {
+        this._log(`db.js - refresh() - attempt ${attempt + 1} failed: ${err.message}`);
+        error = err;
+      }
     }
 
-    const counters_str = JSON.stringify({
-      memory_cache_read_counter: this._memory_cache_read_counter,
-      memory_cache_write_counter: this._memory_cache_write_counter,
-      file_cache_read_counter: this._file_cache_read_counter,
-      file_cache_write_counter: this._file_cache_write_counter,
-    }, null, 2);
-    this._log(`[INFO] - Counters: ${counters_str}`);
+    [this.meta, this.cache, this.cache_file_name, this.index, this.rindex, this.sindex, this.versions] = previous;
+    throw error;
   }
 
   /**
-   * Sets the value in dbjs.js
+   * Throws if the database was opened with `read_only: true`.
    * 
-   * @param {*} key 
-   * @param {*} value 
-   * @returns true if the value could be set, else false
+   * @param {string} operation - name of the API operation
    */
-  set(key, value) {
+  _check_writable(operation) {
+    if (this.config.read_only === true) {
+      this._log(`ReadOnly: ${operation}() is not allowed in read-only mode`, 'INFO', true);
+    }
+  }
+
+  /**
+   * Throws if an operation that removes or renumbers archived files 
+   * would run while `iterate()` or `stream()` are reading them.
+   * 
+   * @param {string} operation 
+   */
+  _check_iterators(operation) {
+    if (this._open_iterators > 0) {
+      this._log(`Busy: ${operation}() cannot run while ${this._open_iterators} iterate() or stream() calls are reading the database`, 'INFO', true);
+    }
+  }
+
+  /**
+   * Releases the journal, the lock, the kill handlers and the flush interval.
+   */
+  _release() {
+    if (this._parent !== null) {
+      delete this._parent._collections[this._collection_name];
+    }
+    this._close_journal();
+    this._release_lock();
+    for (let event_type in this.kill_event_listeners) {
+      process.removeListener(event_type, this.kill_event_listeners[event_type]);
+    }
+    clearInterval(this.flush_interval_id);
+  }
+
+  /**
+   * Acquires the lockfile `dbjs.lock` of the database directory.
+   * 
+   * The lockfile contains the PID and the hostname of the process that 
+   * holds the lock. A lock of a process on the same host that does not 
+   * run anymore is stale and taken over.
+   */
+  _acquire_lock() {
+    // readers do not need a lock
+    if (this.config.read_only === true) {
+      return;
+    }
+
+    const lock_path = this._path('dbjs.lock');
+    // the token tells apart the lockfiles of several instances of the same process
+    this._lock_token = Math.random().toString(36).slice(2);
+    const contents = JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: this._lock_token });
+
+    // the lockfile is written completely before it is linked to dbjs.lock, 
+    // so that dbjs.lock never exists without its contents
+    const own_path = `${lock_path}.${this._lock_token}`;
+    fs.writeFileSync(own_path, contents);
+
+    try {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+          fs.linkSync(own_path, lock_path);
+          this._lock_acquired = true;
+          return;
+        } catch (err) {
+          if (err.code !== 'EEXIST') {
+            throw err;
+          }
+        }
+
+        this._take_over_stale_lock(lock_path);
+      }
+    } finally {
+      fs.rmSync(own_path, { force: true });
+    }
+
+    this._log(`LockError: cannot acquire lock of database ${this.config.database_path}`, 'INFO', true);
+  }
+
+  /**
+   * Removes the lockfile if it is stale, otherwise throws a `LockError`.
+   * 
+   * A lockfile that cannot be parsed is stale once it is older than 
+   * `LOCK_STALE_SECONDS`. The stale lockfile is renamed before it is removed: 
+   * only one process can rename it, and if it is no longer the inspected lockfile 
+   * (another process took it over in the meantime), it is put back.
+   * 
+   * @param {string} lock_path 
+   */
+  _take_over_stale_lock(lock_path) {
+    let contents;
+    let stat;
+    try {
+      stat = fs.statSync(lock_path);
+      contents = fs.readFileSync(lock_path).toString();
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+
+    let owner = null;
+    try {
+      owner = JSON.parse(contents);
+    } catch (err) {
+      owner = null;
+    }
+
+    if (is_plain_object(owner) && !this._is_stale_lock(owner)) {
+      this._log(`LockError: database ${this.config.database_path} is locked by process ${owner.pid} on ${owner.hostname}`, 'INFO', true);
+    }
+
+    if (!is_plain_object(owner) && Date.now() - stat.mtimeMs < LOCK_STALE_SECONDS * 1000) {
+      this._log(`LockError: lockfile of database ${this.config.database_path} cannot be parsed, it is stale after ${LOCK_STALE_SECONDS} seconds`, 'INFO', true);
+    }
+
+    const stale_path = `${lock_path}.${this._lock_token}.stale`;
+    try {
+      fs.renameSync(lock_path, stale_path);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+
+    if (fs.readFileSync(stale_path).toString() !== contents) {
+      this._log(`db.js - _acquire_lock() - lockfile changed while taking over the stale lock, putting it back`);
+      try {
+        fs.linkSync(stale_path, lock_path);
+      } catch (err) {
+        this._log(`db.js - _acquire_lock() - cannot put back the lockfile: ${err.message}`);
+      }
+    } else {
+      this._log(`db.js - _acquire_lock() - removing stale lock ${is_plain_object(owner) ? 'of process ' + owner.pid : 'that cannot be parsed'}`);
+    }
+    fs.rmSync(stale_path, { force: true });
+  }
+
+  _is_stale_lock(owner) {
+    if (owner.hostname !== os.hostname() || !Number.isInteger(owner.pid)) {
+      return false;
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (err) {
+      // EPERM means that the process exists, but belongs to another user
+      return err.code === 'ESRCH';
+    }
+  }
+
+  _release_lock() {
+    if (this._lock_acquired !== true) {
+      return;
+    }
+    this._lock_acquired = false;
+
+    // a lockfile that was taken over by another process is not removed
+    const lock_path = this._path('dbjs.lock');
+    try {
+      if (JSON.parse(fs.readFileSync(lock_path).toString()).token !== this._lock_token) {
+        this._log(`db.js - _release_lock() - the lock was taken over by another process`);
+        return;
+      }
+    } catch (err) {
+      this._log(`db.js - _release_lock() - cannot read the lockfile: ${err.message}`);
+    }
+    fs.rmSync(lock_path, { force: true });
+  }
+
+  /**
+   * Returns the collection `name`, a database with its own memory cache, 
+   * index, reverse index, meta file and archived files in the 
+   * directory `collections/<name>/` of the database directory.
+   * 
+   * The collection is created if it does not exist yet. It has the full API 
+   * of a database, but it is persisted by the flush interval and closed 
+   * by the shutdown handlers of this database.
+   * 
+   * @param {string} name - letters, digits, `_` and `-`
+   * @param {*} user_config - config of the collection, by default the config of this database
+   * @returns the `DBjs` instance of the collection
+   */
+  collection(name, user_config = {}) {
+    this._check_collection_name(name);
+
+    if (this._collections[name]) {
+      return this._collections[name];
+    }
+
+    const config = Object.assign({}, this.config, { indexes: [] }, user_config, {
+      database_path: this._collection_path(name),
+    });
+    const collection = new DBjs(config, this);
+    collection._collection_name = name;
+    this._collections[name] = collection;
+
+    return collection;
+  }
+
+  /**
+   * @returns the names of all collections in the database directory
+   */
+  collections() {
+    const collections_path = this._path('collections');
+    if (!fs.existsSync(collections_path)) {
+      return [];
+    }
+
+    return fs.readdirSync(collections_path, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * Closes the collection `name` without persisting it and removes its directory.
+   * 
+   * @param {string} name 
+   * @returns true if the collection was removed, false if it does not exist
+   */
+  drop_collection(name) {
+    this._check_writable('drop_collection');
+    this._check_collection_name(name);
+
+    if (this._collections[name]) {
+      this._collections[name]._release();
+    }
+
+    const collection_path = this._collection_path(name);
+    if (!fs.existsSync(collection_path)) {
+      return false;
+    }
+
+    fs.rmSync(collection_path, { recursive: true, force: true });
+    return true;
+  }
+
+  _collection_path(name) {
+    return path.join(this.config.database_path, 'collections', name);
+  }
+
+  _check_collection_name(name) {
+    if (this._parent !== null) {
+      this._log(`InvalidCollection: collections cannot contain collections`, 'INFO', true);
+    }
+
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name)) {
+      this._log(`InvalidCollection: collection name must consist of letters, digits, _ and -`, 'INFO', true);
+    }
+  }
+
+  /**
+   * Writes a consistent copy of the database into `target_dir`, while the database keeps running.
+   * 
+   * The state is flushed under the persist lock. Archived files are hard linked 
+   * into the snapshot (or copied, if linking fails), since they are only replaced 
+   * by renaming. Segments are copied, since their values are updated in place. 
+   * Then the memory cache file, index, reverse index, secondary indexes, history and 
+   * meta.json are copied. The journal and the lockfile are not part of the snapshot.
+   * 
+   * Snapshots are incremental: archived files that are already up to date in 
+   * `target_dir` are skipped and archived files that are no longer part of the 
+   * database are removed from it. The snapshots of the collections are written 
+   * to `collections/<name>/` of `target_dir`.
+   * 
+   * @param {string} target_dir - directory of the snapshot, opens with `new DBjs({database_path: target_dir})`
+   * @returns counts `{linked, copied, skipped, removed}` of the archived and memory cache files
+   */
+  snapshot(target_dir) {
+    this._check_writable('snapshot');
+
+    if (typeof target_dir !== 'string' || path.resolve(target_dir) === path.resolve(this.config.database_path)) {
+      this._log(`InvalidSnapshot: target_dir must be a directory other than the database directory`, 'INFO', true);
+    }
+
+    this._wait_persist_lock();
+    this._persist_lock = true; // lock on
+
+    let report = { linked: 0, copied: 0, skipped: 0, removed: 0 };
+
+    try {
+      this._flush();
+      fs.mkdirSync(target_dir, { recursive: true });
+
+      let files = [];
+      for (let file of this._getFiles(false)) {
+        const physical = this._resolve_file(file);
+        const segment = this._is_segment(physical);
+        files.push(physical);
+        report[this._snapshot_file(physical, target_dir, !segment)]++;
+        if (segment && fs.existsSync(this._path(physical + '.idx'))) {
+          files.push(physical + '.idx');
+          report[this._snapshot_file(physical + '.idx', target_dir, false)]++;
+        }
+      }
+
+      // archived files and memory cache files of earlier snapshots
+      const is_data_file = (file) => file.startsWith(this.config.file_prefix) || /^\d+\.json$/.test(file);
+      for (let file of fs.readdirSync(target_dir)) {
+        if (is_data_file(file) && !files.includes(file) && file !== this.cache_file_name) {
+          fs.unlinkSync(path.join(target_dir, file));
+          report.removed++;
+        }
+      }
+
+      // the index files refer to the archived files, so they are copied last
+      for (let file of [this.cache_file_name, 'sindex.json', 'history.json', 'index.json', 'rindex.json', 'index.log', 'meta.json']) {
+        if (file !== null && fs.existsSync(this._path(file))) {
+          fs.copyFileSync(this._path(file), path.join(target_dir, file + '.tmp'));
+          fs.renameSync(path.join(target_dir, file + '.tmp'), path.join(target_dir, file));
+        } else if (file !== null) {
+          fs.rmSync(path.join(target_dir, file), { force: true });
+        }
+      }
+    } finally {
+      this._release_persist_lock();
+    }
+
+    if (this._parent === null) {
+      for (let name of this.collections()) {
+        const open = this._collections[name] !== undefined;
+        const collection = this.collection(name);
+        const collection_report = collection.snapshot(path.join(target_dir, 'collections', name));
+        if (!open) {
+          collection.close();
+        }
+        for (let count in report) {
+          report[count] += collection_report[count];
+        }
+      }
+    }
+
+    this._log(`db.js - snapshot() - ${JSON.stringify(report)}`);
+
+    return report;
+  }
+
+  /**
+   * Hard links or copies a file of the database directory into a snapshot, 
+   * unless the snapshot contains it already.
+   * 
+   * @param {string} file - file name in the database directory
+   * @param {string} target_dir 
+   * @param {boolean} link - whether to try a hard link first
+   * @returns 'linked', 'copied' or 'skipped'
+   */
+  _snapshot_file(file, target_dir, link) {
+    const source = this._path(file);
+    const target = path.join(target_dir, file);
+    const source_stat = fs.statSync(source);
+
+    if (fs.existsSync(target)) {
+      const target_stat = fs.statSync(target);
+      const same_inode = target_stat.ino === source_stat.ino && target_stat.dev === source_stat.dev;
+      const same_copy = target_stat.size === source_stat.size && target_stat.mtimeMs >= source_stat.mtimeMs;
+      if (same_inode || same_copy) {
+        return 'skipped';
+      }
+      fs.unlinkSync(target);
+    }
+
+    if (link) {
+      try {
+        fs.linkSync(source, target);
+        return 'linked';
+      } catch (err) {
+        this._log(`db.js - _snapshot_file() - cannot link ${file}, copying it: ${err.message}`);
+      }
+    }
+
+    fs.copyFileSync(source, target);
+    return 'copied';
+  }
+
+  /**
+   * Return all kinds of metadata for the dbjs.js database.
+   */
+  info() {
+    this._log(`[INFO] - Config: ` + JSON.stringify(this.config, null, 2));
+
+    this._log(`[INFO] - Database path: ${this.config.database_path}`);
+    this._log(`[INFO] - Database archive prefix: ${this.config.file_prefix}`);
+
+    this._log(`[INFO] - Database index size: ${this.index_size()}`);
+    this._log(`[INFO] - Database reverse index size: ${this.rindex_size()}`);
+
+    this._log(`[INFO] - Cache size: ${this.cache_size()}`);
+
+    let files = this._getFiles(true);
+    this._log(`[INFO] - Database files (most recently created file first, oldest file last): ` + files);
+
+    for (let file of files) {
+      let parsed_data = this._read_file(file);
+      this._log(`[INFO] - File: ${file} - Length: ${parsed_data.length}`);
+    }
+
+    const counters_str = JSON.stringify({
+      memory_cache_read_counter: this._memory_cache_read_counter,
+      memory_cache_write_counter: this._memory_cache_write_counter,
+      file_cache_read_counter: this._file_cache_read_counter,
+      file_cache_write_counter: this._file_cache_write_counter,
+      file_lru_hit_counter: this._file_lru_hit_counter,
+      file_lru_miss_counter: this._file_lru_miss_counter,
+      file_lru_MB: round(this._file_lru.bytes / (1024 * 1024), 3),
+    }, null, 2);
+    this._log(`[INFO] - Counters: ${counters_str}`);
+  }
+
+  /**
+   * Sets the value in dbjs.js
+   * 
+   * The key expires after `options.ttl` seconds or at the timestamp `options.expires_at` 
+   * (in ms). Expired keys are no longer returned and are purged by the flush interval.
+   * Setting a key without TTL removes its expiry.
+   * 
+   * @param {*} key 
+   * @param {*} value 
+   * @param {*} options - `{ttl}` or `{expires_at}`
+   * @returns true if the value could be set, else false
+   */
+  set(key, value, options = {}) {
+    this._check_writable('set');
+
     if (this._check_key(key) !== 1) {
       return false;
     }
@@ -186,646 +1222,3360 @@ class DBjs {
       return false;
     }
 
+    const ts = (new Date()).getTime();
+    const expires_at = this._check_expiry(options, ts);
+    if (expires_at === -1) {
+      return false;
+    }
+
     this._wait_persist_lock();
+    this._write(key, value, ts, expires_at);
+
+    return true;
+  }
+
+  /**
+   * Journals, applies and emits a validated write.
+   * 
+   * @param {*} key 
+   * @param {*} value 
+   * @param {int} ts - timestamp of the write, the creation timestamp if the key is inserted
+   * @param {int} expires_at - expiry timestamp or undefined
+   */
+  _write(key, value, ts, expires_at = undefined) {
+    let record = { op: 'set', k: key, v: value, c: ts };
+    if (expires_at !== undefined) {
+      record.e = expires_at;
+    }
+    this._append_journal(record);
+    const type = this.index.has(key) ? 'update' : 'insert';
+    this._set(key, value, ts, expires_at);
+    this._emit('set', { type: type, key: key, index: this.index.get(key).i, seq: this.index.get(key).s, ts: ts });
+  }
+
+  /**
+   * Inserts or updates the value without validation.
+   * 
+   * @param {*} key 
+   * @param {*} value 
+   * @param {int} ts - timestamp of the write, the creation timestamp if the key is inserted
+   * @param {int} expires_at - expiry timestamp or undefined
+   * @returns the previous value, undefined if the key was inserted
+   */
+  _set(key, value, ts, expires_at = undefined) {
+    let old_value;
+    let entry = this.index.get(key);
+    // update value
+    if (entry) {
+      const cache_index = this._get_memory_cache_index(key);
+      if (cache_index !== -1) {
+        this._log(`db.js - updating key (${key}) in memory cache`);
+        if (cache_index >= 0 && cache_index < this.cache.length) {
+          old_value = this.cache[cache_index];
+          this.cache[cache_index] = value;
+        } else {
+          this._log(`db.js - cannot update index ${cache_index} larger than cache (${this.cache.length})`);
+        }
+        this._memory_cache_write_counter++;
+      } else {
+        this._log(`db.js - updating key (${key}) value in file.`);
+        old_value = this._update_file(key, value);
+      }
+      this._sindex_remove(key, old_value);
+      this._sindex_add(key, value);
+      this._add_history(key, old_value);
+      entry.u = ts;
+      this._mark_dirty(key);
+    } else {
+      this.cache.push(value);
+      this._memory_cache_write_counter++;
+      this._sindex_add(key, value);
+      // the reverse index also counts the slots of deleted keys
+      let index = this.rindex_size();
+      entry = {
+        i: index,
+        f: this.cache_file_name,
+        c: ts,
+      };
+      this.index.set(key, entry);
+      this.rindex.push(key);
+      this._mark_dirty(key, index);
+    }
+
+    // every insert and update gets the next sequence number, see changes()
+    this.meta.seq++;
+    entry.s = this.meta.seq;
+    if (this._change_log_index === this.index) {
+      this._change_log.push([entry.s, key]);
+      this._trim_change_log();
+    }
+
+    if (expires_at !== undefined) {
+      entry.e = expires_at;
+      this._next_expiry = Math.min(this._next_expiry, expires_at);
+    } else {
+      delete entry.e;
+    }
+
+    return old_value;
+  }
+
+  /**
+   * Applies several set and delete operations as a unit.
+   * 
+   * All entries are validated before any of them is applied. Inserted keys get 
+   * consecutive insertion indices. Before it is applied, the batch is written 
+   * and synced as a single record to the journal, or without journal to 
+   * batch.log until the state is flushed after the batch. A batch interrupted 
+   * by a crash is therefore replayed completely when the database is opened 
+   * again, see `_replay_batch()`. If applying an entry fails, the entries 
+   * applied before are undone.
+   * 
+   * @param {Array} ops - entries `{op: 'set', key, value, ttl, expires_at}` or `{op: 'delete', key}`
+   * @returns true if the batch was applied, false if an entry is invalid
+   */
+  batch(ops) {
+    this._check_writable('batch');
+
+    if (!Array.isArray(ops)) {
+      this._log(`db.js - batch() expects an array of operations`);
+      return false;
+    }
+
+    const ts = (new Date()).getTime();
+    let records = [];
+
+    for (let n = 0; n < ops.length; n++) {
+      const entry = ops[n];
+      if (!is_plain_object(entry) || this._check_key(entry.key) !== 1) {
+        this._log(`db.js - batch() entry ${n} has an invalid key`);
+        return false;
+      }
+
+      if (entry.op === 'set') {
+        if (this._check_value(entry.value) !== 1) {
+          this._log(`db.js - batch() entry ${n} has an invalid value`);
+          return false;
+        }
+        const expires_at = this._check_expiry(entry, ts);
+        if (expires_at === -1) {
+          this._log(`db.js - batch() entry ${n} has an invalid expiry`);
+          return false;
+        }
+        let record = { op: 'set', k: entry.key, v: entry.value, c: ts };
+        if (expires_at !== undefined) {
+          record.e = expires_at;
+        }
+        records.push(record);
+      } else if (entry.op === 'delete') {
+        records.push({ op: 'delete', k: entry.key });
+      } else {
+        this._log(`db.js - batch() entry ${n} has an invalid op ${entry.op}`);
+        return false;
+      }
+    }
+
+    return this._apply_batch(records);
+  }
+
+  /**
+   * Applies the validated records of `batch()` or `import()` as one batch, 
+   * the records applied before a failing record are undone.
+   * 
+   * @param {Array} records - `{op, k, v, c, e}` journal records
+   * @returns true
+   */
+  _apply_batch(records) {
+    this._wait_persist_lock();
+
+    const batch = { op: 'batch', ops: records };
+    if (this.journal_fd !== null) {
+      this._append_journal(batch);
+      this._fsync_journal();
+    } else {
+      this._write_file(this._path('batch.log'), JSON.stringify(batch));
+    }
+
+    let undo = [];
+    let events = [];
+    try {
+      for (let record of records) {
+        const entry = this.index.has(record.k) ? Object.assign({}, this.index.get(record.k)) : undefined;
+        const history = this.versions[record.k] ? this.versions[record.k].slice() : undefined;
+        if (record.op === 'set') {
+          const old_value = this._set(record.k, record.v, record.c, record.e);
+          undo.push({ key: record.k, entry: entry, old_value: old_value, value: record.v, history: history });
+          events.push({ type: entry === undefined ? 'insert' : 'update', key: record.k, index: this.index.get(record.k).i, seq: this.index.get(record.k).s, ts: record.c });
+        } else if (entry !== undefined) {
+          const old_value = this._delete(record.k);
+          undo.push({ key: record.k, entry: entry, old_value: old_value, value: null, history: history });
+        }
+      }
+    } catch (err) {
+      this._log(`db.js - batch() failed, undoing ${undo.length} operations: ${err.message}`);
+      this._undo(undo);
+      // the restored keys get back their old sequence numbers
+      this._change_log_index = null;
+      // the flush removes the batch from the journal
+      this._flush();
+      fs.rmSync(this._path('batch.log'), { force: true });
+      throw err;
+    }
+
+    if (this.journal_fd === null) {
+      this._flush();
+      fs.rmSync(this._path('batch.log'), { force: true });
+    }
+
+    for (let event of events) {
+      this._emit('set', event);
+    }
+
+    return true;
+  }
+
+  /**
+   * Reverts the operations of a failed `batch()`, most recent operation first.
+   * 
+   * @param {Array} undo - `{key, entry, old_value, value, history}` with the index entry, 
+   *   the value before and after the operation and the previous values of the key
+   */
+  _undo(undo) {
+    for (let n = undo.length - 1; n >= 0; n--) {
+      const { key, entry, old_value, value, history } = undo[n];
+      if (history === undefined) {
+        delete this.versions[key];
+      } else {
+        this.versions[key] = history;
+      }
+
+      if (entry === undefined) {
+        // the inserted key is the most recent value
+        this._sindex_remove(key, value);
+        this.cache.pop();
+        this._mark_dirty(key, this.index.get(key).i);
+        this.rindex.pop();
+        this.index.delete(key);
+        continue;
+      }
+
+      this._sindex_remove(key, value);
+      this.index.set(key, entry);
+      this.rindex[entry.i] = key;
+      this._mark_dirty(key, entry.i);
+      const cache_index = this._get_memory_cache_index(key);
+      if (cache_index !== -1) {
+        this.cache[cache_index] = old_value;
+      } else {
+        this._update_file(key, old_value);
+      }
+      this._sindex_add(key, old_value);
+    }
+  }
+
+  /**
+   * The last inserted cache item has the largest index.
+   * 
+   * With `options.at`, the value that the key had at the timestamp `at` (in ms) 
+   * is returned, which requires `keep_history` for values that were updated since.
+   * 
+   * @param {*} key 
+   * @param {*} options - `{at}`
+   * @returns 
+   */
+  get(key, options = {}) {
+    if (this._check_key(key) !== 1) {
+      return undefined;
+    }
+
+    this._wait_persist_lock();
+
+    if (options.at !== undefined) {
+      if (typeof options.at !== 'number') {
+        this._log(`InvalidRange: at must be a timestamp in ms`, 'INFO', true);
+      }
+      if (this.index.has(key) && options.at < this._written_at(key)) {
+        return this._history_at(key, options.at);
+      }
+    }
+
+    if (this.index.has(key) && !this._is_expired(key)) {
+      const cache_index = this._get_memory_cache_index(key);
+      if (cache_index !== -1) {
+        this._memory_cache_read_counter++;
+        return this.cache[cache_index];
+      } else {
+        return this._load_from_file(key);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Async variant of `get()` that reads archived files with `fs.promises`.
+   * 
+   * @param {*} key 
+   * @returns 
+   */
+  async _get_async(key) {
+    if (this._check_key(key) !== 1) {
+      return undefined;
+    }
+
+    this._wait_persist_lock();
+
+    if (this.index.has(key) && !this._is_expired(key)) {
+      const cache_index = this._get_memory_cache_index(key);
+      if (cache_index !== -1) {
+        this._memory_cache_read_counter++;
+        return this.cache[cache_index];
+      } else {
+        return this._load_from_file_async(key);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Deletes the key from dbjs.js
+   * 
+   * The stored value is overwritten with `null` in the memory cache or in the 
+   * archived file and the key is removed from the index. The slot of the key 
+   * in the reverse index is kept as tombstone (`null`), so that the 
+   * insertion indices of all other keys stay valid.
+   * 
+   * @param {*} key 
+   * @returns true if the key was deleted, else false
+   */
+  delete(key) {
+    this._check_writable('delete');
+
+    if (this._check_key(key) !== 1) {
+      return false;
+    }
+
+    this._wait_persist_lock();
+
+    if (!this.index.has(key)) {
+      return false;
+    }
+
+    this._append_journal({ op: 'delete', k: key });
+    this._delete(key);
+
+    return true;
+  }
+
+  /**
+   * Deletes the key without validation.
+   * 
+   * @param {*} key 
+   */
+  _delete(key) {
+    const cache_index = this._get_memory_cache_index(key);
+    let old_value;
+    if (cache_index !== -1) {
+      this._log(`db.js - deleting key (${key}) in memory cache`);
+      old_value = this.cache[cache_index];
+      this.cache[cache_index] = null;
+      this._memory_cache_write_counter++;
+    } else {
+      this._log(`db.js - deleting key (${key}) value in file.`);
+      old_value = this._update_file(key, null);
+    }
+    this._remove_key(key, old_value);
+
+    return old_value;
+  }
+
+  /**
+   * Removes a key, whose value was already overwritten with `null`, 
+   * from the indices.
+   * 
+   * @param {*} key 
+   * @param {*} old_value - the value before it was overwritten
+   */
+  _remove_key(key, old_value) {
+    this._sindex_remove(key, old_value);
+    delete this.versions[key];
+
+    this._mark_dirty(key, this.index.get(key).i);
+    this.rindex[this.index.get(key).i] = null;
+    this.index.delete(key);
+  }
+
+  /**
+   * Returns true if the key has a TTL that has passed.
+   * 
+   * @param {*} key 
+   * @param {int} now - current timestamp in ms
+   */
+  _is_expired(key, now = (new Date()).getTime()) {
+    const entry = this.index.get(key);
+    return entry !== undefined && entry.e !== undefined && entry.e <= now;
+  }
+
+  _find_next_expiry() {
+    let next_expiry = Infinity;
+    for (let entry of this.index.values()) {
+      if (entry.e !== undefined && entry.e < next_expiry) {
+        next_expiry = entry.e;
+      }
+    }
+    return next_expiry;
+  }
+
+  /**
+   * Deletes all expired keys. Their values are overwritten with `null` in the 
+   * memory cache and in the archived files, every archived file is 
+   * rewritten at most once.
+   * 
+   * Called by the flush interval before persisting.
+   * 
+   * @returns the number of deleted keys
+   */
+  _sweep_expired() {
+    const now = (new Date()).getTime();
+    if (this._persist_lock === true || this._next_expiry > now) {
+      return 0;
+    }
+
+    let expired = [];
+    for (let key of this.index.keys()) {
+      if (this._is_expired(key, now)) {
+        expired.push(key);
+      }
+    }
+
+    // keys in archived files are grouped by file
+    let archived = {};
+    for (let key of expired) {
+      this._append_journal({ op: 'delete', k: key });
+      if (this._get_memory_cache_index(key) !== -1) {
+        this._delete(key);
+      } else {
+        const file = this.index.get(key).f;
+        archived[file] = archived[file] || [];
+        archived[file].push(key);
+      }
+    }
+
+    for (let file in archived) {
+      const keys = archived[file];
+      const old_values = this._update_file_values(file, keys.map((key) => [key, null]));
+      keys.forEach((key, n) => this._remove_key(key, old_values[n]));
+    }
+
+    this._next_expiry = this._find_next_expiry();
+    this._log(`db.js - _sweep_expired() - deleted ${expired.length} expired keys`);
+
+    return expired.length;
+  }
+
+  /**
+   * Creates a secondary index on a dot separated value field, for example `user.email`.
+   * 
+   * The index is built from all stored values and kept up to date by `set()` and `delete()`.
+   * 
+   * @param {string} field 
+   * @returns true if the index was created, false if it already exists
+   */
+  create_index(field) {
+    this._check_writable('create_index');
+
+    if (typeof field !== 'string' || field.length === 0) {
+      this._log(`InvalidIndex: field must be a non-empty string`, 'INFO', true);
+    }
+
+    this._wait_persist_lock();
+
+    if (this.sindex[field]) {
+      return false;
+    }
+
+    this._build_secondary_index(field);
+    this.meta.indexes = Object.keys(this.sindex);
+
+    return true;
+  }
+
+  /**
+   * Removes the secondary index on `field`.
+   * 
+   * @param {string} field 
+   * @returns true if the index was removed, false if it does not exist
+   */
+  drop_index(field) {
+    this._check_writable('drop_index');
+    this._wait_persist_lock();
+
+    if (!this.sindex[field]) {
+      return false;
+    }
+
+    delete this.sindex[field];
+    this.meta.indexes = Object.keys(this.sindex);
+    if (this.meta.indexes.length === 0 && fs.existsSync(this._path('sindex.json'))) {
+      fs.unlinkSync(this._path('sindex.json'));
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns the values whose `field` matches the condition by using the secondary index.
+   * 
+   * The condition is either a value (equality lookup) or a range
+   * of operators such as `{"$gte": 18, "$lt": 65}`, see `compile_condition()`.
+   * 
+   * @param {string} field 
+   * @param {*} condition 
+   * @returns an array of the matching values, most recently inserted value first
+   */
+  find_by(field, condition) {
+    if (!this.sindex[field]) {
+      this._log(`InvalidIndex: there is no secondary index on field ${field}`, 'INFO', true);
+    }
+
+    this._wait_persist_lock();
+
+    const entries = this.sindex[field];
+    let keys = [];
+
+    if (is_plain_object(condition) && Object.keys(condition).some((op) => op.startsWith('$'))) {
+      const test = compile_condition(field, condition);
+      for (let stringified in entries) {
+        if (test(JSON.parse(stringified))) {
+          keys = keys.concat(Array.from(entries[stringified]));
+        }
+      }
+    } else {
+      keys = Array.from(entries[JSON.stringify(condition)] || []);
+    }
+
+    keys = keys.filter((key) => !this._is_expired(key));
+    keys.sort((a, b) => this.index.get(b).i - this.index.get(a).i);
+
+    return this._get_values(keys);
+  }
+
+  /**
+   * Returns the inserts and updates with a sequence number larger than `since`, 
+   * in the order in which they happened.
+   * 
+   * Only one record per key is returned, for its most recent write: the earlier 
+   * writes of a key that was written again are not returned, so a consumer sees 
+   * the latest value but not every intermediate value. Deleted and expired keys 
+   * are not returned. A consumer resumes with the `seq` of the last record it has 
+   * processed, also after a restart of the database. The keys are kept ordered by 
+   * sequence number, so a call costs O(log n) plus the records it returns, and 
+   * every archived file is read at most once per call.
+   * 
+   * @param {*} options - `{since, limit}`, by default `{since: 0, limit: 1000}`
+   * @returns an array of `{seq, key, value, op, ts}`, `op` is 'insert' or 'update'
+   */
+  changes(options = {}) {
+    const since = options.since === undefined ? 0 : options.since;
+    const limit = options.limit === undefined ? 1000 : options.limit;
+
+    if (!Number.isInteger(since) || since < 0) {
+      this._log(`InvalidRange: since must be a sequence number >= 0`, 'INFO', true);
+    }
+
+    if (!Number.isInteger(limit) || limit <= 0) {
+      this._log(`InvalidRange: limit must be a positive integer`, 'INFO', true);
+    }
+
+    this._wait_persist_lock();
+
+    if (this._change_log_index !== this.index) {
+      this._build_change_log();
+    }
+
+    // the first pair with a sequence number larger than since
+    let low = 0;
+    let high = this._change_log.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this._change_log[middle][0] <= since) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    let changes = [];
+    for (let i = low; i < this._change_log.length && changes.length < limit; i++) {
+      const [seq, key] = this._change_log[i];
+      const entry = this.index.get(key);
+      // the key was written again later or deleted
+      if (entry === undefined || entry.s !== seq || this._is_expired(key)) {
+        continue;
+      }
+      changes.push({
+        seq: seq,
+        key: key,
+        value: undefined,
+        op: entry.u === undefined ? 'insert' : 'update',
+        ts: this._written_at(key),
+      });
+    }
+
+    // every archived file is read once for all of its changes
+    const values = this._get_values(changes.map((change) => change.key));
+    changes.forEach((change, n) => change.value = values[n]);
+
+    return changes;
+  }
+
+  /**
+   * Returns the previous values of the key, most recent value first. 
+   * 
+   * Only recorded with `keep_history`. Every entry `{value, ts}` contains the 
+   * timestamp when the value was written. The current value is returned by `get()`. 
+   * At most `max_history` previous values are kept per key and deleting 
+   * the key deletes its history.
+   * 
+   * @param {*} key 
+   * @returns an array of `{value, ts}`
+   */
+  history(key) {
+    if (this._check_key(key) !== 1 || !this.versions[key]) {
+      return [];
+    }
+
+    return this.versions[key].map((version) => ({ value: version.v, ts: version.t })).reverse();
+  }
+
+  /**
+   * @param {*} key 
+   * @returns the timestamp of the last insert or update of the key
+   */
+  _written_at(key) {
+    const entry = this.index.get(key);
+    return entry.u === undefined ? entry.c : entry.u;
+  }
+
+  /**
+   * Records the value that an update of the key overwrites.
+   * 
+   * @param {*} key 
+   * @param {*} old_value 
+   */
+  _add_history(key, old_value) {
+    if (this.config.keep_history !== true) {
+      return;
+    }
+
+    if (!this.versions[key]) {
+      this.versions[key] = [];
+    }
+    this.versions[key].push({ v: old_value, t: this._written_at(key) });
+    if (this.versions[key].length > this.config.max_history) {
+      this.versions[key].splice(0, this.versions[key].length - this.config.max_history);
+    }
+  }
+
+  /**
+   * Drops the previous values of deleted keys and the oldest previous 
+   * values of keys with more than `max_history` previous values.
+   */
+  _trim_history() {
+    for (let key in this.versions) {
+      if (!this.index.has(key)) {
+        delete this.versions[key];
+      } else if (this.versions[key].length > this.config.max_history) {
+        this.versions[key].splice(0, this.versions[key].length - this.config.max_history);
+      }
+    }
+  }
+
+  /**
+   * @param {*} key 
+   * @param {int} at - timestamp before the last write of the key
+   * @returns the previous value of the key at `at` or undefined
+   */
+  _history_at(key, at) {
+    const versions = this.versions[key] || [];
+    for (let n = versions.length - 1; n >= 0; n--) {
+      if (versions[n].t <= at) {
+        return versions[n].v;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Orders the keys of the current index by their sequence number for changes().
+   */
+  _build_change_log() {
+    this._change_log = [];
+    for (let [key, entry] of this.index) {
+      if (Number.isInteger(entry.s)) {
+        this._change_log.push([entry.s, key]);
+      }
+    }
+    this._change_log.sort((a, b) => a[0] - b[0]);
+    this._change_log_index = this.index;
+  }
+
+  /**
+   * Removes the pairs of keys that were written again or deleted once they 
+   * make up more than half of the change log.
+   */
+  _trim_change_log() {
+    if (this._change_log.length <= 2 * this.index.size + 1000) {
+      return;
+    }
+
+    this._change_log = this._change_log.filter(([seq, key]) => {
+      const entry = this.index.get(key);
+      return entry !== undefined && entry.s === seq;
+    });
+  }
+
+  /**
+   * Numbers the keys of a database that was created before sequence numbers 
+   * existed in insertion order, so that `changes()` returns all of them.
+   */
+  _assign_sequence_numbers() {
+    if (this.meta.seq !== undefined) {
+      return;
+    }
+
+    let seq = 0;
+    for (let i = 0; i < this.rindex_size(); i++) {
+      const key = this.rindex[i];
+      if (key !== null && key !== undefined && this.index.has(key)) {
+        this.index.get(key).s = ++seq;
+      }
+    }
+    this.meta.seq = seq;
+    this._index_rewritten = true;
+  }
+
+  _sindex_add(key, value) {
+    for (let field in this.sindex) {
+      const field_value = get_field(value, field);
+      if (field_value === undefined) {
+        continue;
+      }
+      const stringified = JSON.stringify(field_value);
+      if (!this.sindex[field][stringified]) {
+        this.sindex[field][stringified] = new Set();
+      }
+      this.sindex[field][stringified].add(key);
+    }
+  }
+
+  _sindex_remove(key, value) {
+    for (let field in this.sindex) {
+      const field_value = get_field(value, field);
+      if (field_value === undefined) {
+        continue;
+      }
+      const stringified = JSON.stringify(field_value);
+      const keys = this.sindex[field][stringified];
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          delete this.sindex[field][stringified];
+        }
+      }
+    }
+  }
+
+  /**
+   * Builds the secondary index on `field` from the memory cache and all archived files.
+   * 
+   * @param {string} field 
+   */
+  _build_secondary_index(field) {
+    this._log(`db.js - building secondary index on field ${field}`);
+    const entries = {};
+    this._for_each_live((key, value) => {
+      const field_value = get_field(value, field);
+      if (field_value !== undefined) {
+        const stringified = JSON.stringify(field_value);
+        if (!entries[stringified]) {
+          entries[stringified] = new Set();
+        }
+        entries[stringified].add(key);
+      }
+    });
+    this.sindex[field] = entries;
+  }
+
+  /**
+   * Rebuilds secondary indexes that are configured or listed in 
+   * meta.json, but missing in sindex.json.
+   */
+  _load_secondary_indexes() {
+    const fields = (this.meta.indexes || []).concat(this.config.indexes);
+    for (let field of fields) {
+      if (!this.sindex[field]) {
+        this._build_secondary_index(field);
+      }
+    }
+    if (fields.length > 0) {
+      this.meta.indexes = Object.keys(this.sindex);
+    }
+  }
+
+  /**
+   * Calls `callback(key, value)` for every key in the database, the 
+   * memory cache first, then the archived files (most recently created file first).
+   * 
+   * @param {*} callback 
+   */
+  _for_each_live(callback) {
+    const offset = this.rindex_size() - this.cache_size();
+    for (let k = this.cache.length - 1; k >= 0; k--) {
+      const key = this.rindex[offset + k];
+      if (key !== null && key !== undefined) {
+        callback(key, this.cache[k]);
+      }
+    }
+
+    for (let file of this._getFiles(false)) {
+      let parsed_data = this._read_file(file);
+      this._file_cache_read_counter++;
+      const newest_index = this._get_archive_offset(file) + parsed_data.length - 1;
+      for (let k = 0; k < parsed_data.length; k++) {
+        const key = this.rindex[newest_index - k];
+        if (key !== null && key !== undefined) {
+          callback(key, parsed_data[k]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Only for debugging/testing purposes.
+   * 
+   * Returns the index metadata for a given key.
+   * 
+   * @param {*} key 
+   */
+  _get_key_index_entry(key) {
+    if (this.index.has(key)) {
+      return this.index.get(key);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * If the key is currently residing in the memory cache, return 
+   * it's index in `this.cache`, else return -1.
+   * 
+   * @param {} key 
+   */
+  _get_memory_cache_index(key) {
+    const entry = this.index.get(key);
+    if (entry !== undefined) {
+      let cache_index = entry.i - (this.rindex_size() - this.cache_size());
+      if (cache_index >= 0) {
+        return cache_index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @returns the values of the memory cache, most recently inserted value first
+   */
+  _cache_values() {
+    return this.cache.slice().reverse();
+  }
+
+  /**
+   * Collects at most `limit` live values of the memory cache without
+   * copying the whole memory cache.
+   * 
+   * @param {*} limit 
+   * @returns the live values, most recently inserted value first
+   */
+  _live_cache_values(limit) {
+    const now = (new Date()).getTime();
+    const all_live = this.index_size() === this.rindex_size() && this._next_expiry > now;
+    const offset = this.rindex_size() - this.cache.length;
+    let retval = [];
+    for (let k = this.cache.length - 1; k >= 0 && retval.length < limit; k--) {
+      const key = this.rindex[offset + k];
+      if (all_live || (key !== null && !this._is_expired(key, now))) {
+        retval.push(this.cache[k]);
+      }
+    }
+    return retval;
+  }
+
+  get_cache() {
+    return this._cache_values();
+  }
+
+  /**
+   * `getn(index_range, time_range)` - Returns an array of values in insertion order.
+   * 
+   * This means that the most recent inserted value (Inserted with `set(key, value)`) is
+   * returned as first element of the array. 
+   * When both `index_range=null` and `time_range=null`, then `getn()`
+   * returns the memory cache contents by default.
+   *
+   * The variable `index_range` selects values to be returned by index range.
+   * If you specify `index_range=[0, 500]`, then the last 500 inserted values are returned.
+   *
+   * The variable `time_range` selects values to be returned by an timestamp range.
+   * If you specify `time_range=[1649418657952, 1649418675192]`,
+   * then the items that were inserted between those two timestamps will be returned.
+   * 
+   * @param {*} index_range 
+   * @param {*} time_range
+   *  
+   * @returns A list of values in the storage, sliced by the selecton criteria
+   */
+  getn(index_range = null, time_range = null) {
+    this._wait_persist_lock();
+
+    const range = this._getn_range(index_range, time_range);
+    if (range === null) {
+      return [];
+    }
+    const [start_index, end_index] = range;
+
+    // first get from in-memory cache
+    // and see if this already thresholds our limits
+    let retval = this._live_cache_values(end_index);
+    this._memory_cache_read_counter++;
+
+    if (end_index <= retval.length) {
+      // we can serve from in-memory cache only
+      return retval.slice(start_index, end_index);
+    }
+
+    // we have to load from archived database files until
+    // enough live values are collected
+    let files = this._getFiles(false);
+    let i = 0;
+    while (i < files.length && retval.length < end_index) {
+      let file = files[i];
+      let parsed_data = this._read_file(file);
+      this._file_cache_read_counter++;
+      let newest_index = this._get_archive_offset(file) + parsed_data.length - 1;
+      retval = retval.concat(this._live_values(parsed_data, newest_index));
+      i++;
+    }
+    this._log(`db.js - getn() had to load from disk ${i}/${files.length} files`);
+
+    return retval.slice(start_index, end_index);
+  }
+
+  /**
+   * Translates the selection criteria of `getn()` into a 
+   * range of live values, most recently inserted value first.
+   * 
+   * @param {*} index_range 
+   * @param {*} time_range 
+   * @returns [start_index, end_index] or null if the criteria are invalid
+   */
+  _getn_range(index_range, time_range) {
+    let start_index = 0;
+    let end_index = this.cache_size();
+    let size = this.index_size();
+
+    if (index_range !== null) {
+      if (Array.isArray(index_range) && index_range.length === 2) {
+        start_index = index_range[0];
+        end_index = index_range[1];
+      } else {
+        this._log(`db.js - getn() - invalid index_range`);
+        return null;
+      }
+    }
+
+    if (time_range !== null) {
+      if (Array.isArray(time_range) && time_range.length === 2) {
+        start_index = this._binary_search_index(time_range[0]) + 1;
+        end_index = this._binary_search_index(time_range[1]) + 1;
+      } else {
+        this._log(`db.js - getn() - invalid time_range`);
+        return null;
+      }
+    }
+
+    // if we are overshooting, just return all data
+    if (end_index > size || start_index > size) {
+      this._log(`db.js - getn() - start_index=${start_index}, end_index=${end_index} cannot be larger than index size ${size}`);
+      start_index = 0;
+      end_index = size;
+    }
+
+    // check we have correct start_index and end_index
+    if (start_index < 0 || end_index < 0 || start_index > end_index) {
+      this._log(`db.js - getn() - invalid indices: (start_index=${start_index}, end_index=${end_index})`);
+      return null;
+    }
+
+    this._log(`db.js - getn() - start_index=${start_index}, end_index=${end_index}`);
+
+    return [start_index, end_index];
+  }
+
+  /**
+   * Async variant of `getn()` that reads archived files with `fs.promises`.
+   * 
+   * @param {*} index_range 
+   * @param {*} time_range 
+   * @returns A list of values in the storage, sliced by the selecton criteria
+   */
+  async _getn_async(index_range = null, time_range = null) {
+    this._wait_persist_lock();
+
+    const range = this._getn_range(index_range, time_range);
+    if (range === null) {
+      return [];
+    }
+    const [start_index, end_index] = range;
+
+    let retval = this._live_cache_values(end_index);
+    this._memory_cache_read_counter++;
+
+    if (end_index <= retval.length) {
+      return retval.slice(start_index, end_index);
+    }
+
+    let files = this._getFiles(false);
+    let i = 0;
+    while (i < files.length && retval.length < end_index) {
+      let file = files[i];
+      let parsed_data = await this._read_file_async(file);
+      this._file_cache_read_counter++;
+      let newest_index = this._get_archive_offset(file) + parsed_data.length - 1;
+      retval = retval.concat(this._live_values(parsed_data, newest_index));
+      i++;
+    }
+    this._log(`db.js - _getn_async() had to load from disk ${i}/${files.length} files`);
+
+    return retval.slice(start_index, end_index);
+  }
+
+  /**
+   * Iterates over the values of the database without loading all 
+   * archived files into memory at once.
+   * 
+   * The memory cache is read first, then the archived files, one at a time
+   * (most recently created file first). With `reverse: true` the oldest value 
+   * comes first. Reading stops as soon as the selection criteria are met.
+   * 
+   * `index_range` selects values by insertion index like `getn()`: `[0, 500]` are the
+   * last 500 inserted values, regardless of `reverse`. `time_range` selects 
+   * values whose creation timestamp is within `[ts0, ts1]`. 
+   * 
+   * The archived files are listed when the iteration starts. Until the iterator is 
+   * finished (or closed with `return()`, e.g. by `break` in `for await`), `compact()`, 
+   * `repair()` and `migrate_archives()` throw and the retention policy is deferred.
+   * 
+   * @param {*} options - `{index_range, time_range, reverse}`
+   * @returns an async iterator of `{key, value, index, ts}` objects
+   */
+  async *iterate(options = {}) {
+    const index_range = options.index_range || null;
+    const time_range = options.time_range || null;
+    const reverse = options.reverse === true;
+
+    if (index_range !== null && !(Array.isArray(index_range) && index_range.length === 2)) {
+      this._log(`InvalidRange: index_range must be an array [start, end]`, 'INFO', true);
+    }
+
+    if (time_range !== null && !(Array.isArray(time_range) && time_range.length === 2)) {
+      this._log(`InvalidRange: time_range must be an array [ts0, ts1]`, 'INFO', true);
+    }
+
+    this._wait_persist_lock();
+
+    // compact(), repair() and the retention policy wait until the iterator is finished, 
+    // so that the archived files and their offsets stay as they are now
+    this._open_iterators++;
+    try {
+      // ranks of the selected values in iteration order
+      const size = this.index_size();
+      let start = 0;
+      let end = Infinity;
+      if (index_range !== null) {
+        start = reverse ? size - index_range[1] : index_range[0];
+        end = reverse ? size - index_range[0] : index_range[1];
+      }
+
+      // the sources are read lazily, the memory cache is copied 
+      // since it can change while iterating
+      let sources = [{ data: this._cache_values(), newest_index: this.rindex_size() - 1 }];
+      for (let file of this._getFiles(false)) {
+        sources.push({ file: file, offset: this._get_archive_offset(file) });
+      }
+      if (reverse) {
+        sources.reverse();
+      }
+
+      let rank = 0;
+      for (let source of sources) {
+        let data = source.data;
+        let newest_index = source.newest_index;
+        if (source.file) {
+          data = await this._read_file_async(source.file);
+          this._file_cache_read_counter++;
+          newest_index = source.offset + data.length - 1;
+        } else {
+          this._memory_cache_read_counter++;
+        }
+
+        for (let n = 0; n < data.length; n++) {
+          const k = reverse ? data.length - 1 - n : n;
+          const index = newest_index - k;
+          const key = this.rindex[index];
+          if (key === null || key === undefined || !this.index.has(key) || this.index.get(key).i !== index || this._is_expired(key)) {
+            continue;
+          }
+
+          if (rank >= end) {
+            return;
+          }
+
+          rank++;
+          if (rank <= start) {
+            continue;
+          }
+
+          const ts = this.index.get(key).c;
+          if (time_range !== null) {
+            if ((!reverse && ts < time_range[0]) || (reverse && ts > time_range[1])) {
+              return;
+            }
+            if (ts < time_range[0] || ts > time_range[1]) {
+              continue;
+            }
+          }
+
+          yield {
+            key: key,
+            value: data[k],
+            index: index,
+            ts: ts,
+          };
+        }
+      }
+    } finally {
+      this._open_iterators--;
+    }
+  }
+
+  /**
+   * Writes the values selected by `index_range` and `time_range` (see `iterate()`) 
+   * to a writable stream, oldest value first. Every record contains the key, the 
+   * value and the creation timestamp `ts`.
+   * 
+   * - `ndjson`: one `{"key", "value", "ts"}` object per line
+   * - `csv`: the columns `key,value,ts`, the value is stored as JSON
+   * - `json`: a JSON array of `{"key", "value", "ts"}` objects
+   * 
+   * The stream is not ended, so that several exports can be written to it.
+   * 
+   * @param {*} stream - a `Writable`
+   * @param {*} options - `{format, index_range, time_range}`, `format` is 'ndjson' by default
+   * @returns a Promise of the number of exported values
+   */
+  async export(stream, options = {}) {
+    const format = options.format || 'ndjson';
+    if (!['ndjson', 'csv', 'json'].includes(format)) {
+      this._log(`InvalidFormat: format must be 'ndjson', 'csv' or 'json'`, 'INFO', true);
+    }
+
+    const write = async (chunk) => {
+      if (!stream.write(chunk)) {
+        await EventEmitter.once(stream, 'drain');
+      }
+    };
+
+    if (format === 'csv') {
+      await write('key,value,ts\n');
+    } else if (format === 'json') {
+      await write('[');
+    }
+
+    let exported = 0;
+    const iterator = this.iterate({
+      index_range: options.index_range || null,
+      time_range: options.time_range || null,
+      reverse: true,
+    });
+
+    for await (let item of iterator) {
+      if (format === 'csv') {
+        await write([csv_field(item.key), csv_field(JSON.stringify(item.value)), item.ts].join(',') + '\n');
+      } else {
+        const record = JSON.stringify({ key: item.key, value: item.value, ts: item.ts });
+        await write(format === 'json' ? (exported > 0 ? ',\n' : '\n') + record : record + '\n');
+      }
+      exported++;
+    }
+
+    if (format === 'json') {
+      await write(exported > 0 ? '\n]\n' : ']\n');
+    }
+
+    this._log(`db.js - export() - exported ${exported} values as ${format}`);
+
+    return exported;
+  }
+
+  /**
+   * Imports the records of a stream that was written by `export()`.
+   * 
+   * The records are inserted in the order of the stream with their creation 
+   * timestamp `ts`, so that `getn()` index and time ranges select the imported 
+   * values like in the exported database. Therefore the timestamps must not 
+   * decrease and must not be older than the most recently inserted key of the 
+   * database. A key that exists already is updated. All records are read and 
+   * validated before the first one is applied, so an invalid record throws 
+   * without importing anything. The records are then applied as one `batch()`.
+   * 
+   * @param {*} stream - a `Readable` of Buffers or strings
+   * @param {*} options - `{format}`, 'ndjson' by default
+   * @returns a Promise of the number of imported records
+   */
+  async import(stream, options = {}) {
+    this._check_writable('import');
+
+    const format = options.format || 'ndjson';
+    if (!['ndjson', 'csv', 'json'].includes(format)) {
+      this._log(`InvalidFormat: format must be 'ndjson', 'csv' or 'json'`, 'INFO', true);
+    }
+
+    // creation timestamp of the most recently inserted key
+    let newest = -Infinity;
+    for (let i = this.rindex_size() - 1; i >= 0; i--) {
+      const key = this.rindex[i];
+      if (key !== null && key !== undefined && this.index.has(key)) {
+        newest = this.index.get(key).c;
+        break;
+      }
+    }
+
+    // all records are validated before the first one is applied
+    const now = (new Date()).getTime();
+    let inserted = new Set();
+    let records = [];
+    for await (let record of this._import_records(stream, format)) {
+      const imported = records.length;
+      if (!is_plain_object(record) || this._check_key(record.key) !== 1 || this._check_value(record.value) !== 1) {
+        this._log(`InvalidImport: record ${imported} has an invalid key or value`, 'INFO', true);
+      }
+      if (!Number.isInteger(record.ts)) {
+        this._log(`InvalidImport: record ${imported} has an invalid timestamp`, 'INFO', true);
+      }
+
+      if (this.index.has(record.key) || inserted.has(record.key)) {
+        records.push({ op: 'set', k: record.key, v: record.value, c: now });
+      } else {
+        if (record.ts < newest) {
+          this._log(`InvalidImport: record ${imported} (${record.ts}) is older than the most recently inserted key (${newest})`, 'INFO', true);
+        }
+        newest = record.ts;
+        inserted.add(record.key);
+        records.push({ op: 'set', k: record.key, v: record.value, c: record.ts });
+      }
+    }
+
+    const imported = records.length;
+    if (imported > 0) {
+      this._apply_batch(records);
+    }
+
+    this._log(`db.js - import() - imported ${imported} records from ${format}`);
+
+    return imported;
+  }
+
+  /**
+   * Parses the records of an exported stream into `{key, value, ts}` objects.
+   * 
+   * @param {*} stream 
+   * @param {string} format 
+   */
+  async *_import_records(stream, format) {
+    if (format === 'json') {
+      let contents = '';
+      for await (let line of read_lines(stream)) {
+        contents += line + '\n';
+      }
+      let records;
+      try {
+        records = JSON.parse(contents);
+      } catch (err) {
+        this._log(`InvalidImport: ${err.message}`, 'INFO', true);
+      }
+      if (!Array.isArray(records)) {
+        this._log(`InvalidImport: json import must be an array of records`, 'INFO', true);
+      }
+      yield* records;
+    } else if (format === 'csv') {
+      let columns = null;
+      for await (let fields of read_csv_records(stream)) {
+        if (columns === null) {
+          columns = fields;
+          if (!['key', 'value', 'ts'].every((column) => columns.includes(column))) {
+            this._log(`InvalidImport: CSV header must contain the columns key, value and ts`, 'INFO', true);
+          }
+          continue;
+        }
+        let record;
+        try {
+          record = {
+            key: fields[columns.indexOf('key')],
+            value: JSON.parse(fields[columns.indexOf('value')]),
+            ts: Number(fields[columns.indexOf('ts')]),
+          };
+        } catch (err) {
+          this._log(`InvalidImport: invalid CSV value: ${err.message}`, 'INFO', true);
+        }
+        yield record;
+      }
+    } else {
+      for await (let line of read_lines(stream)) {
+        if (line.trim().length === 0) {
+          continue;
+        }
+        try {
+          yield JSON.parse(line);
+        } catch (err) {
+          this._log(`InvalidImport: invalid NDJSON line: ${err.message}`, 'INFO', true);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the values selected by `iterate(options)` as object mode `Readable` stream.
+   * 
+   * @param {*} options - `{index_range, time_range, reverse}`
+   * @returns a `Readable` of `{key, value, index, ts}` objects
+   */
+  stream(options = {}) {
+    return Readable.from(this.iterate(options));
+  }
+
+  /**
+   * Return everything until the limit is reached.
+   * 
+   * @param {*} limit 
+   * @returns 
+   */
+  _getn(limit = 1000) {
+    this._log(`db.js - _getn()`);
+    let retval = this._live_values(this._cache_values(), this.rindex_size() - 1);
+    this._memory_cache_read_counter++;
+
+    if (retval.length > limit) {
+      return retval;
+    }
+
+    let files = this._getFiles(false);
+    this._log(`db.js - _getn() - files: ${files}`);
+
+    for (let file of files) {
+      let parsed_data = this._read_file(file);
+      this._file_cache_read_counter++;
+      let newest_index = this._get_archive_offset(file) + parsed_data.length - 1;
+      retval = retval.concat(this._live_values(parsed_data, newest_index));
+      this._log(`db.js - retval length: ${retval.length}`);
+      if (retval.length > limit) {
+        return retval;
+      }
+    }
+
+    return retval;
+  }
+
+  _isFunction(functionToCheck) {
+    return functionToCheck && {}.toString.call(functionToCheck) === '[object Function]';
+  }
+
+  /**
+   * Walk over all files and apply a callback on the parsed result.
+   * 
+   * @param {*} callbacks - an array of callbacks to apply
+   * @param {int} limit - after how many items to stop
+   * @returns 
+   */
+  walk(callbacks, limit = 1000) {
+    this._log(`db.js - walk()`);
+
+    let files = this._getFiles(false);
+    let num = 0;
+
+    // first lookup in cache
+    this._memory_cache_read_counter++;
+    let cache = this._live_values(this._cache_values(), this.rindex_size() - 1);
+    for (let callback of callbacks) {
+      if (this._isFunction(callback)) {
+        callback(cache);
+      } else {
+        this._log(`db.js - callback is not a function...`);
+      }
+    }
+
+    num += cache.length;
+
+    if (Number.isInteger(limit) && num >= limit) {
+      return true;
+    }
+
+    for (let file of files) {
+      this._log(`db.js - walk() - apply callback on file: ${file}`);
+      let parsed_data = this._read_file(file);
+      this._file_cache_read_counter++;
+      let offset = this._get_archive_offset(file);
+      parsed_data = this._live_values(parsed_data, offset + parsed_data.length - 1);
+      num += parsed_data.length;
+
+      for (let callback of callbacks) {
+        if (this._isFunction(callback)) {
+          callback(parsed_data);
+        } else {
+          this._log(`db.js - callback is not a function...`);
+        }
+      }
+
+      if (Number.isInteger(limit) && num >= limit) {
+        break;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns all values that match the filter.
+   * 
+   * The filter is either a predicate function that is called with every value 
+   * or a query object, for example `{"user.age": {"$gte": 18}, "status": {"$in": ["a", "b"]}}`.
+   * See `compile_query()` for the supported operators.
+   * 
+   * The memory cache is filtered first, then the archived files 
+   * (most recently created file first).
+   * 
+   * @param {*} predicate - a function `(value) => boolean` or a query object
+   * @param {int} limit - after how many scanned values to stop reading archived files, 
+   *   the file that reaches the limit is scanned completely
+   * @returns an array of the matching values, most recently inserted value first
+   */
+  filter(predicate, limit = 1000) {
+    this._log(`db.js - filter()`);
+
+    let test = null;
+    if (this._isFunction(predicate)) {
+      test = predicate;
+    } else if (predicate !== null && typeof predicate === 'object' && !Array.isArray(predicate)) {
+      test = compile_query(predicate);
+    } else {
+      this._log(`InvalidFilter: filter() expects a predicate function or a query object`, 'INFO', true);
+    }
+
+    let files = this._getFiles(false);
+    let num = 0;
+    let results = [];
+
+    // first lookup in cache
+    this._memory_cache_read_counter++;
+    let cache = this._live_values(this._cache_values(), this.rindex_size() - 1);
+    for (let data of cache) {
+      if (test(data)) {
+        results.push(data);
+      }
+    }
+
+    num += cache.length;
+
+    if (Number.isInteger(limit) && num >= limit) {
+      return results;
+    }
+
+    for (let file of files) {
+      this._log(`db.js - filter() - apply filter on file: ${file}`);
+      let parsed_data = this._read_file(file);
+      this._file_cache_read_counter++;
+      let offset = this._get_archive_offset(file);
+      parsed_data = this._live_values(parsed_data, offset + parsed_data.length - 1);
+      num += parsed_data.length;
+
+      for (let data of parsed_data) {
+        if (test(data)) {
+          results.push(data);
+        }
+      }
+
+      if (Number.isInteger(limit) && num >= limit) {
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 
+   * @returns returns the index size
+   */
+  index_size() {
+    return this.index.size;
+  }
+
+  /**
+   * 
+   * @returns returns the memory cache size
+   */
+  cache_size() {
+    return this.cache.length;
+  }
+
+  /**
+   * The reverse index keeps a slot for every value ever inserted, 
+   * including the tombstones of deleted keys.
+   * 
+   * @returns returns the reverse index size
+   */
+  rindex_size() {
+    return this.rindex.length;
+  }
+
+  /**
+   * 
+   * @returns returns the number of deleted keys (tombstones) in the reverse index
+   */
+  _tombstone_count() {
+    let num = 0;
+    for (let key of this.rindex) {
+      if (key === null) {
+        num++;
+      }
+    }
+    return num;
+  }
+
+  /**
+   * Removes the values of deleted and expired keys from a data array.
+   * 
+   * Data arrays (memory cache and archived files) store the most 
+   * recently inserted value first, so the value at position `k` 
+   * has the insertion index `newest_index - k`.
+   * 
+   * @param {Array} data 
+   * @param {int} newest_index - insertion index of the first element in `data`
+   * @returns the values whose slot in the reverse index is not a tombstone
+   */
+  _live_values(data, newest_index) {
+    const now = (new Date()).getTime();
+    if (this.index_size() === this.rindex_size() && this._next_expiry > now) {
+      return data;
+    }
+
+    return data.filter((value, k) => {
+      const key = this.rindex[newest_index - k];
+      return key !== null && !this._is_expired(key, now);
+    });
+  }
+
+  _log(msg, level = 'INFO', throw_error = false) {
+    if (this.config.debug) {
+      let ts = (new Date()).toLocaleString();
+      let output = `[${ts}] - ${level} - ${msg}`;
+      if (fs.existsSync(path.dirname(this.config.logfile_path))) {
+        fs.appendFileSync(this.config.logfile_path, output + '\n');
+      }
+      console.log(output);
+    }
+    if (throw_error) {
+      throw Error(msg);
+    }
+  }
+
+  _binary_search_index(ts) {
+    // creation timestamps of all keys in insertion order
+    let insertion_times = [];
+    for (let key of this.rindex) {
+      if (key !== null) {
+        insertion_times.push(this.index.get(key).c);
+      }
+    }
+
+    let [start, end] = this._binary_search(insertion_times, ts);
+
+    return end;
+  }
+
+  _binary_search(sortedArray, key) {
+    let start = 0;
+    let end = sortedArray.length - 1;
+
+    while (start <= end) {
+      let middle = Math.floor((start + end) / 2);
+
+      if (sortedArray[middle] === key) {
+        // found the key
+        // return middle;
+        break;
+      } else if (sortedArray[middle] < key) {
+        // continue searching to the right
+        start = middle + 1;
+      } else {
+        // search searching to the left
+        end = middle - 1;
+      }
+    }
+
+    return [start, end];
+  }
+
+  /**
+   * Check whether the key can be used in dbjs.js
+   * 
+   * key must be of type string
+   * key must be smaller than `max_key_size_bytes`
+   * 
+   * @param {*} key 
+   * @returns -1 if the key is not valid, else 1
+   */
+  _check_key(key) {
+    if (typeof key !== 'string') {
+      return -1;
+    }
+
+    if (key.length > this.config.max_key_size_bytes) {
+      return -1;
+    }
+
+    return 1;
+  }
+
+  /**
+   * 
+   * value must be serializable to JSON
+   * value must be smaller than `max_value_size_bytes`
+   * 
+   * @param {*} value 
+   * @returns -1 if the value is not valid, else 1
+   */
+  _check_value(value) {
+    let stringified;
+
+    try {
+      stringified = JSON.stringify(value);
+    } catch (err) {
+      this._log(`db.js - _check_value() value not serializable: ${err.message}`);
+      return -1;
+    }
+
+    if (typeof stringified !== 'string') {
+      return -1;
+    }
+
+    if (stringified.length > this.config.max_value_size_bytes) {
+      return -1;
+    }
+
+    return 1;
+  }
+
+  /**
+   * 
+   * options must contain either `ttl` (positive number of seconds) 
+   * or `expires_at` (timestamp in ms), or none of them
+   * 
+   * @param {*} options 
+   * @param {int} now - current timestamp in ms
+   * @returns -1 if the options are not valid, else the expiry timestamp or undefined
+   */
+  _check_expiry(options, now) {
+    if (options === null || typeof options !== 'object') {
+      return -1;
+    }
+
+    const { ttl, expires_at } = options;
+
+    if (ttl !== undefined && expires_at !== undefined) {
+      this._log(`db.js - _check_expiry() ttl and expires_at cannot be combined`);
+      return -1;
+    }
+
+    if (ttl !== undefined) {
+      if (typeof ttl !== 'number' || !(ttl > 0) || !isFinite(ttl)) {
+        this._log(`db.js - _check_expiry() ttl must be a positive number of seconds`);
+        return -1;
+      }
+      return now + Math.round(ttl * 1000);
+    }
+
+    if (expires_at !== undefined) {
+      if (!Number.isInteger(expires_at)) {
+        this._log(`db.js - _check_expiry() expires_at must be a timestamp in ms`);
+        return -1;
+      }
+      return expires_at;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Overwrites the value of the key in its archived file.
+   * 
+   * @param {*} key 
+   * @param {*} value 
+   * @returns the previous value
+   */
+  _update_file(key, value) {
+    return this._update_file_values(this.index.get(key).f, [[key, value]])[0];
+  }
+
+  /**
+   * Overwrites the values of several keys in the same archived file, 
+   * the file is written once.
+   * 
+   * @param {*} f - archived file name without prefix, as stored in the index
+   * @param {*} updates - array of `[key, value]` pairs
+   * @returns the previous values in the order of `updates`
+   */
+  _update_file_values(f, updates) {
+    const physical = this._resolve_file(this.config.file_prefix + f);
+    let path = this._path(physical);
+    let old_values = [];
+
+    if (!fs.existsSync(path)) {
+      this._log(`db.js - _update_file() file ${path} does not exist`);
+      return old_values;
+    }
+
+    if (this._is_segment(physical)) {
+      for (let [key, value] of updates) {
+        old_values.push(this._update_segment(key, physical, value));
+      }
+      return old_values;
+    }
+
+    let parsed = this._read_archive(physical);
+    // the cached file is only valid again once the write succeeded
+    this._file_lru.delete(physical);
+    for (let [key, value] of updates) {
+      const file_index = this._get_archived_index(this.index.get(key).i, f, parsed.length);
+      if (file_index >= 0 && file_index <= parsed.length) {
+        old_values.push(parsed[file_index]);
+        parsed[file_index] = value;
+      } else {
+        old_values.push(undefined);
+        this._log(`db.js - file_index (${file_index}) is larger than file contents (${parsed.length})`);
+      }
+    }
+
+    const contents = JSON.stringify(parsed);
+    // the file keeps its compression
+    this._write_file(path, this._compress(physical, contents));
+    this._file_lru.set(physical, parsed, contents.length);
+    this._file_cache_write_counter++;
+
+    return old_values;
+  }
+
+  /**
+   * Returns the values of the keys like `get()`, but reads every archived file 
+   * at most once per call, also without `file_cache_MB`.
+   * 
+   * @param {Array} keys 
+   * @returns the values in the order of `keys`
+   */
+  _get_values(keys) {
+    // physical file -> parsed values or offset table of a segment
+    let files = new Map();
+
+    return keys.map((key) => {
+      if (!this.index.has(key) || this._is_expired(key)) {
+        return undefined;
+      }
+
+      const cache_index = this._get_memory_cache_index(key);
+      if (cache_index !== -1) {
+        this._memory_cache_read_counter++;
+        return this.cache[cache_index];
+      }
+
+      const entry = this.index.get(key);
+      const physical = this._resolve_file(this.config.file_prefix + entry.f);
+      if (!files.has(physical)) {
+        if (!fs.existsSync(this._path(physical))) {
+          this._log(`db.js - _get_values() file ${physical} does not exist`);
+          files.set(physical, null);
+        } else if (this._is_segment(physical)) {
+          files.set(physical, this._read_offsets(physical));
+        } else {
+          files.set(physical, this._read_archive(physical));
+        }
+      }
+
+      const contents = files.get(physical);
+      if (contents === null) {
+        return null;
+      } else if (this._is_segment(physical)) {
+        return this._read_segment_value(physical, contents, this._get_archived_index(entry.i, entry.f, contents.count));
+      }
+      return copy_value(contents[this._get_archived_index(entry.i, entry.f, contents.length)]);
+    });
+  }
+
+  /**
+   * Load the key from the archived file.
+   * 
+   * @param {*} key 
+   * @returns 
+   */
+  _load_from_file(key) {
+    const physical = this._resolve_file(this.config.file_prefix + this.index.get(key).f);
+    let path = this._path(physical);
+
+    if (fs.existsSync(path) && this._is_segment(physical)) {
+      const offsets = this._read_offsets(physical);
+      const file_index = this._get_archived_index(this.index.get(key).i, this.index.get(key).f, offsets.count);
+      return this._read_segment_value(physical, offsets, file_index);
+    } else if (fs.existsSync(path)) {
+      let parsed = this._read_archive(physical);
+      const file_index = this._get_archived_index(this.index.get(key).i, this.index.get(key).f, parsed.length);
+      return copy_value(parsed[file_index]);
+    } else {
+      this._log(`db.js - _load_from_file() file ${path} does not exist`);
+    }
+
+    return null;
+  }
+
+  async _load_from_file_async(key) {
+    const entry = this.index.get(key);
+    const physical = this._resolve_file(this.config.file_prefix + entry.f);
+    let parsed;
+
+    try {
+      if (this._is_segment(physical)) {
+        const offsets = await this._read_offsets_async(physical);
+        const file_index = this._get_archived_index(entry.i, entry.f, offsets.count);
+        return await this._read_segment_value_async(physical, offsets, file_index);
+      }
+      parsed = await this._read_archive_async(physical);
+    } catch (err) {
+      this._log(`db.js - _load_from_file_async() cannot read file ${entry.f}: ${err.message}`);
+      return null;
+    }
+
+    const file_index = this._get_archived_index(entry.i, entry.f, parsed.length);
+    return copy_value(parsed[file_index]);
+  }
+
+  /**
+   * Reads and parses a data file (memory cache file or archived file).
+   * 
+   * Archived files are read in the format they are stored in (see `_resolve_file()`).
+   * 
+   * @param {*} file - file name relative to the database directory
+   * @returns the parsed array of values
+   */
+  _read_file(file) {
+    const physical = this._resolve_file(file);
+    return this._parse_file(physical, this._read_file_contents(physical));
+  }
+
+  async _read_file_async(file) {
+    const physical = this._resolve_file(file);
+    return this._parse_file(physical, await this._read_file_contents_async(physical));
+  }
+
+  _parse_file(file, contents) {
+    if (this._is_segment(file)) {
+      let values = [];
+      for (let line of contents.split('\n')) {
+        if (line.length > 0) {
+          values.push(JSON.parse(line));
+        }
+      }
+      return values;
+    }
+    return JSON.parse(contents);
+  }
+
+  _read_file_contents(file) {
+    let contents = fs.readFileSync(this._path(file));
+    if (file.endsWith('.gz')) {
+      contents = zlib.gunzipSync(contents);
+    } else if (file.endsWith('.br')) {
+      contents = zlib.brotliDecompressSync(contents);
+    }
+    return contents.toString();
+  }
+
+  async _read_file_contents_async(file) {
+    let contents = await fs.promises.readFile(this._path(file));
+    if (file.endsWith('.gz')) {
+      contents = await gunzip(contents);
+    } else if (file.endsWith('.br')) {
+      contents = await brotli_decompress(contents);
+    }
+    return contents.toString();
+  }
+
+  /**
+   * Compresses the contents of a file according to its extension.
+   * 
+   * @param {*} file - file name, archived files may end with `.gz` or `.br`
+   * @param {*} contents - the uncompressed contents
+   * @returns the contents to write
+   */
+  _compress(file, contents) {
+    if (file.endsWith('.gz')) {
+      return zlib.gzipSync(contents);
+    } else if (file.endsWith('.br')) {
+      return zlib.brotliCompressSync(contents);
+    }
+    return contents;
+  }
+
+  async _compress_async(file, contents) {
+    if (file.endsWith('.gz')) {
+      return await gzip(contents);
+    } else if (file.endsWith('.br')) {
+      return await brotli_compress(contents);
+    }
+    return contents;
+  }
+
+  /**
+   * Reads and parses an archived file through the file cache (`file_cache_MB`).
+   * 
+   * The returned array is shared with the file cache and must not be modified, 
+   * unless the file is written afterwards (see `_update_file()`). Values that are 
+   * handed out to callers are copied with `copy_value()`. The size of a cached 
+   * file is the length of its uncompressed JSON text, the parsed values take 
+   * several times more memory.
+   * 
+   * @param {*} file - name of the archived file
+   * @returns the parsed array of values
+   */
+  _read_archive(file) {
+    let parsed = this._file_lru.get(file);
+    if (parsed !== undefined) {
+      this._file_lru_hit_counter++;
+      return parsed;
+    }
+
+    this._file_lru_miss_counter++;
+    const contents = this._read_file_contents(file);
+    this._file_cache_read_counter++;
+    parsed = JSON.parse(contents);
+    this._file_lru.set(file, parsed, contents.length);
+    return parsed;
+  }
+
+  async _read_archive_async(file) {
+    let parsed = this._file_lru.get(file);
+    if (parsed !== undefined) {
+      this._file_lru_hit_counter++;
+      return parsed;
+    }
+
+    this._file_lru_miss_counter++;
+    const contents = await this._read_file_contents_async(file);
+    this._file_cache_read_counter++;
+    parsed = JSON.parse(contents);
+    this._file_lru.set(file, parsed, contents.length);
+    return parsed;
+  }
+
+  /**
+   * Returns the name of the file that stores the archived file `file` on disk.
+   * 
+   * Archived files are always registered with their `.json` name in meta.json 
+   * and in the index. With `archive_format: 'ndjson'` they are stored as 
+   * segment `dbjs_<ts>.ndjson` instead: one JSON value per line, most recent 
+   * value first, and a binary offset table `dbjs_<ts>.ndjson.idx` with the byte 
+   * offset of every line. With `compression` they are stored as `dbjs_<ts>.json.gz` 
+   * or `dbjs_<ts>.json.br`. All formats can be mixed in one database.
+   * 
+   * @param {*} file - archived file name, e.g. `dbjs_1648820673048.json`
+   * @returns the name of the existing file, `file` if none exists
+   */
+  _resolve_file(file) {
+    if (!file.endsWith('.json') || !file.startsWith(this.config.file_prefix)) {
+      return file;
+    }
+    for (let candidate of this._archive_variants(file)) {
+      if (fs.existsSync(this._path(candidate))) {
+        return candidate;
+      }
+    }
+    return file;
+  }
+
+  /**
+   * Returns the name of the archived file `file` in the configured 
+   * `archive_format` and `compression`.
+   * 
+   * @param {*} file - archived file name, e.g. `dbjs_1648820673048.json`
+   */
+  _archive_name(file) {
+    if (this.config.archive_format === 'ndjson') {
+      return this._segment_name(file);
+    }
+    return file + COMPRESSION_EXTENSIONS[this.config.compression];
+  }
+
+  /**
+   * Returns all names the archived file `file` can be stored with, 
+   * the name in the configured format first.
+   */
+  _archive_variants(file) {
+    let variants = [file, file + '.gz', file + '.br', this._segment_name(file)];
+    const preferred = this._archive_name(file);
+    return [preferred].concat(variants.filter((name) => name !== preferred));
+  }
+
+  _segment_name(file) {
+    return file.slice(0, -'.json'.length) + '.ndjson';
+  }
+
+  _is_segment(file) {
+    return file.endsWith('.ndjson');
+  }
+
+  /**
+   * Writes the values of an archived file in the configured `archive_format` 
+   * and `compression` and removes the file in all other formats.
+   * 
+   * @param {*} file - archived file name, e.g. `dbjs_1648820673048.json`
+   * @param {*} values - the values, most recent value first
+   */
+  _write_archive(file, values) {
+    const [target, ...others] = this._archive_variants(file);
+    if (this._is_segment(target)) {
+      this._write_segment(target, values);
+    } else {
+      this._write_file(this._path(target), this._compress(target, JSON.stringify(values)));
+    }
+    for (let other of others) {
+      this._remove_variant(other);
+    }
+  }
+
+  /**
+   * Removes an archived file in all formats.
+   * 
+   * @param {*} file - archived file name, e.g. `dbjs_1648820673048.json`
+   */
+  _remove_archive(file) {
+    for (let variant of this._archive_variants(file)) {
+      this._remove_variant(variant);
+    }
+  }
+
+  _remove_variant(name) {
+    if (this._is_segment(name)) {
+      this._remove_segment(name);
+    } else if (fs.existsSync(this._path(name))) {
+      fs.unlinkSync(this._path(name));
+    }
+  }
+
+  _remove_segment(segment) {
+    for (let name of [segment, segment + '.idx']) {
+      if (fs.existsSync(this._path(name))) {
+        fs.unlinkSync(this._path(name));
+      }
+    }
+  }
+
+  _segment_contents(values) {
+    let lines = [];
+    let offsets = Buffer.alloc((values.length + 1) * OFFSET_BYTES);
+    let position = 0;
+    values.forEach((value, n) => {
+      let line = JSON.stringify(value) + '\n';
+      lines.push(line);
+      position += Buffer.byteLength(line);
+      offsets.writeBigUInt64LE(BigInt(position), (n + 1) * OFFSET_BYTES);
+    });
+    return [lines.join(''), offsets];
+  }
+
+  /**
+   * Writes a segment and its offset table. The offset table is written 
+   * last, an outdated offset table is rebuilt by `_read_offsets()`.
+   * 
+   * @param {*} segment - segment file name, e.g. `dbjs_1648820673048.ndjson`
+   * @param {*} values - the values, most recent value first
+   */
+  _write_segment(segment, values) {
+    const [contents, offsets] = this._segment_contents(values);
+    this._file_lru.delete(segment);
+    this._write_file(this._path(segment), contents);
+    this._write_file(this._path(segment + '.idx'), offsets);
+  }
+
+  async _write_segment_async(segment, values) {
+    const [contents, offsets] = this._segment_contents(values);
+    this._file_lru.delete(segment);
+    await this._write_file_async(this._path(segment), contents);
+    await this._write_file_async(this._path(segment + '.idx'), offsets);
+  }
+
+  /**
+   * Checks the offset table of a segment without reading it.
+   * 
+   * The offset table stores the byte offset of every line and the size of the 
+   * segment as unsigned 64 bit integers (`OFFSET_BYTES` each), so that the offsets 
+   * of a line are read by position. If its last offset is not the size of the segment, 
+   * the offset table is rebuilt from the segment. A read-only instance cannot write 
+   * the rebuilt offset table and keeps it in memory instead.
+   * 
+   * @param {*} segment - segment file name
+   * @returns `{count, table}` with the number of values and the rebuilt offset 
+   *   table, `table` is null if the offsets are read from the file
+   */
+  _read_offsets(segment) {
+    const size = fs.statSync(this._path(segment)).size;
+    const idx_path = this._path(segment + '.idx');
+    if (fs.existsSync(idx_path)) {
+      const fd = fs.openSync(idx_path, 'r');
+      try {
+        const count = this._check_offsets(fd, fs.fstatSync(fd).size, size);
+        if (count >= 0) {
+          return { count: count, table: null };
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+
+    this._log(`db.js - _read_offsets() - rebuilding offset table of ${segment}`);
+    const table = this._build_offsets(fs.readFileSync(this._path(segment)));
+    if (this.config.read_only !== true) {
+      this._write_file(idx_path, table);
+    }
+    return { count: table.length / OFFSET_BYTES - 1, table: this.config.read_only === true ? table : null };
+  }
+
+  async _read_offsets_async(segment) {
+    const stat = await fs.promises.stat(this._path(segment));
+    const idx_path = this._path(segment + '.idx');
+    if (fs.existsSync(idx_path)) {
+      const handle = await fs.promises.open(idx_path, 'r');
+      try {
+        const idx_size = (await handle.stat()).size;
+        let last = Buffer.alloc(OFFSET_BYTES);
+        if (idx_size >= OFFSET_BYTES) {
+          await handle.read(last, 0, OFFSET_BYTES, idx_size - OFFSET_BYTES);
+        }
+        const count = this._check_offsets(last, idx_size, stat.size);
+        if (count >= 0) {
+          return { count: count, table: null };
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+
+    this._log(`db.js - _read_offsets_async() - rebuilding offset table of ${segment}`);
+    const table = this._build_offsets(await fs.promises.readFile(this._path(segment)));
+    if (this.config.read_only !== true) {
+      await this._write_file_async(idx_path, table);
+    }
+    return { count: table.length / OFFSET_BYTES - 1, table: this.config.read_only === true ? table : null };
+  }
+
+  /**
+   * @param {*} source - file descriptor of the offset table or a buffer with its last offset
+   * @param {int} idx_size - size of the offset table
+   * @param {int} size - size of the segment
+   * @returns the number of values of the segment or -1 if the offset table is outdated
+   */
+  _check_offsets(source, idx_size, size) {
+    if (idx_size < OFFSET_BYTES || idx_size % OFFSET_BYTES !== 0) {
+      return -1;
+    }
+    let last = source;
+    if (!Buffer.isBuffer(source)) {
+      last = Buffer.alloc(OFFSET_BYTES);
+      fs.readSync(source, last, 0, OFFSET_BYTES, idx_size - OFFSET_BYTES);
+    }
+    return Number(last.readBigUInt64LE(0)) === size ? idx_size / OFFSET_BYTES - 1 : -1;
+  }
+
+  _build_offsets(buffer) {
+    let positions = [0];
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === 0x0a) {
+        positions.push(i + 1);
+      }
+    }
+    let table = Buffer.alloc(positions.length * OFFSET_BYTES);
+    positions.forEach((position, n) => table.writeBigUInt64LE(BigInt(position), n * OFFSET_BYTES));
+    return table;
+  }
+
+  /**
+   * Returns the byte range of a line of a segment, read by 
+   * position from the offset table.
+   * 
+   * @param {*} segment - segment file name
+   * @param {*} offsets - see `_read_offsets()`
+   * @param {*} file_index - line of the value
+   * @returns `[start, end]`, `end` includes the newline
+   */
+  _segment_range(segment, offsets, file_index) {
+    let range = offsets.table;
+    if (range === null) {
+      range = Buffer.alloc(2 * OFFSET_BYTES);
+      const fd = fs.openSync(this._path(segment + '.idx'), 'r');
+      try {
+        fs.readSync(fd, range, 0, range.length, file_index * OFFSET_BYTES);
+      } finally {
+        fs.closeSync(fd);
+      }
+      return [Number(range.readBigUInt64LE(0)), Number(range.readBigUInt64LE(OFFSET_BYTES))];
+    }
+    return [Number(range.readBigUInt64LE(file_index * OFFSET_BYTES)), Number(range.readBigUInt64LE((file_index + 1) * OFFSET_BYTES))];
+  }
+
+  async _segment_range_async(segment, offsets, file_index) {
+    if (offsets.table !== null) {
+      return this._segment_range(segment, offsets, file_index);
+    }
+    let range = Buffer.alloc(2 * OFFSET_BYTES);
+    const handle = await fs.promises.open(this._path(segment + '.idx'), 'r');
+    try {
+      await handle.read(range, 0, range.length, file_index * OFFSET_BYTES);
+    } finally {
+      await handle.close();
+    }
+    return [Number(range.readBigUInt64LE(0)), Number(range.readBigUInt64LE(OFFSET_BYTES))];
+  }
+
+  /**
+   * Reads a single value of a segment without reading the whole segment.
+   * 
+   * @param {*} segment - segment file name
+   * @param {*} offsets - see `_read_offsets()`
+   * @param {*} file_index - line of the value
+   * @returns the parsed value
+   */
+  _read_segment_value(segment, offsets, file_index) {
+    if (file_index < 0 || file_index >= offsets.count) {
+      this._log(`db.js - file_index (${file_index}) is out of range of segment ${segment}`);
+      return undefined;
+    }
+    const [start, end] = this._segment_range(segment, offsets, file_index);
+    const buffer = Buffer.alloc(end - start);
+    const fd = fs.openSync(this._path(segment), 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this._file_cache_read_counter++;
+    return JSON.parse(buffer.toString());
+  }
+
+  async _read_segment_value_async(segment, offsets, file_index) {
+    if (file_index < 0 || file_index >= offsets.count) {
+      this._log(`db.js - file_index (${file_index}) is out of range of segment ${segment}`);
+      return undefined;
+    }
+    const [start, end] = await this._segment_range_async(segment, offsets, file_index);
+    const buffer = Buffer.alloc(end - start);
+    const handle = await fs.promises.open(this._path(segment), 'r');
+    try {
+      await handle.read(buffer, 0, buffer.length, start);
+    } finally {
+      await handle.close();
+    }
+    this._file_cache_read_counter++;
+    return JSON.parse(buffer.toString());
+  }
+
+  /**
+   * Overwrites the value of the key in its segment.
+   * 
+   * If the new value fits into the line of the old value, only the line 
+   * is overwritten and padded with spaces. Otherwise the segment is rewritten.
+   * 
+   * The overwritten line is first written to the redo file `<segment>.redo`. 
+   * A crash while the line is overwritten leaves a torn line, which 
+   * `_recover_segment_updates()` overwrites again from the redo file.
+   * 
+   * @param {*} key 
+   * @param {*} segment - segment file name
+   * @param {*} value 
+   * @returns the previous value
+   */
+  _update_segment(key, segment, value) {
+    const offsets = this._read_offsets(segment);
+    const file_index = this._get_archived_index(this.index.get(key).i, this.index.get(key).f, offsets.count);
+    if (file_index < 0 || file_index >= offsets.count) {
+      this._log(`db.js - file_index (${file_index}) is out of range of segment ${segment}`);
+      return undefined;
+    }
+
+    const old_value = this._read_segment_value(segment, offsets, file_index);
+    const [start, end] = this._segment_range(segment, offsets, file_index);
+    const line = JSON.stringify(value);
+    // the line without the newline
+    const available = end - start - 1;
+
+    if (Buffer.byteLength(line) <= available) {
+      const padded = line + ' '.repeat(available - Buffer.byteLength(line));
+      const redo_path = this._path(segment + '.redo');
+      this._write_file(redo_path, JSON.stringify({ position: start, line: padded }));
+      this._write_line(segment, start, padded);
+      fs.unlinkSync(redo_path);
+    } else {
+      let values = this._read_file(segment);
+      values[file_index] = value;
+      this._write_segment(segment, values);
+    }
+    this._file_cache_write_counter++;
+
+    return old_value;
+  }
+
+  _write_line(segment, position, line) {
+    const fd = fs.openSync(this._path(segment), 'r+');
+    try {
+      fs.writeSync(fd, line, position);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Completes the in-place updates of segments that were interrupted 
+   * by a crash, see `_update_segment()`.
+   */
+  _recover_segment_updates() {
+    for (let file of fs.readdirSync(this.config.database_path)) {
+      if (!file.endsWith('.redo')) {
+        continue;
+      }
+      const segment = file.slice(0, -'.redo'.length);
+      if (fs.existsSync(this._path(segment))) {
+        this._log(`db.js - _recover_segment_updates() - completing interrupted update of ${segment}`);
+        const redo = JSON.parse(fs.readFileSync(this._path(file)).toString());
+        this._write_line(segment, redo.position, redo.line);
+      }
+      fs.unlinkSync(this._path(file));
+    }
+  }
+
+  /**
+   * Converts all archived files into the configured `archive_format` and `compression`.
+   * 
+   * The converted file is written before the file in the old format is 
+   * removed. Both formats can be read while the migration is running.
+   * 
+   * @returns the number of converted files
+   */
+  migrate_archives() {
+    this._check_writable('migrate_archives');
+    this._check_iterators('migrate_archives');
+    this._log(`db.js - migrate_archives() to ${this.config.archive_format} (compression: ${this.config.compression})`);
+
+    this._wait_persist_lock();
+    this._persist_lock = true; // lock on
+
+    let converted = 0;
+    try {
+      for (let file of this._getFiles(false)) {
+        const physical = this._resolve_file(file);
+        if (physical === this._archive_name(file)) {
+          continue;
+        }
+        this._write_archive(file, this._read_file(physical));
+        this._file_cache_read_counter++;
+        this._file_cache_write_counter++;
+        converted++;
+      }
+      this._file_lru.clear();
+    } finally {
+      this._release_persist_lock();
+    }
+
+    return converted;
+  }
+
+  /**
+   * Returns the insertion index of the oldest value in the archived `file`.
+   * 
+   * @param {*} file 
+   * @returns the number of values stored in all older archived files
+   */
+  _get_archive_offset(file) {
+    let offset = 0;
+    for (let archive_file in this.meta.archive) {
+      if (archive_file.indexOf(file) !== -1) {
+        break;
+      }
+      offset += this.meta.archive[archive_file].size;
+    }
+    return offset;
+  }
+
+  _get_archived_index(index, file, length) {
+    let offset = this._get_archive_offset(file);
+    let file_index = index - offset;
+    this._log(`db.js - _get_archived_index() index=${index}, file=${file}, offset=${offset}, file_index=${file_index}`);
+    return (length - 1) - file_index;
+  }
+
+  _flush_meta_file() {
+    const meta_path = this._path('meta.json');
+    this._write_file(meta_path, JSON.stringify(this.meta, null, 2));
+  }
+
+  /**
+   * Flushes cache/index/reverse index to disk.
+   * 
+   * This method does not alter the state of cache/index/reverse index.
+   * 
+   * @returns 
+   */
+  _flush() {
+    this._log(`db.js - _flush() - Storing cache/index/reverse index`);
+    const [stringified, writes] = this._flush_contents();
 
-    // update value
-    if (this.index[key]) {
-      const cache_index = this._get_memory_cache_index(key);
-      if (cache_index !== -1) {
-        this._log(`db.js - updating key (${key}) in memory cache`);
-        if (cache_index >= 0 && cache_index <= this.cache.length) {
-          this.cache[cache_index] = value;
+    try {
+      for (let [file_path, contents, append] of writes) {
+        if (append === true) {
+          this._append_file(file_path, contents);
         } else {
-          this._log(`db.js - cannot update index ${cache_index} larger than cache (${this.cache.length})`);
+          this._write_file(file_path, contents);
         }
-        this._memory_cache_write_counter++;
-      } else {
-        this._log(`db.js - updating key (${key}) value in file.`);
-        this._update_file(key, value);
       }
-    } else {
-      this.cache.unshift(value);
-      this._memory_cache_write_counter++;
-      let index = this.index_size();
-      this.index[key] = {
-        i: index,
-        f: this.cache_file_name,
-        c: (new Date()).getTime(),
-      };
-      this.rindex[index] = key;
+    } catch (err) {
+      // the changes of the index are lost from the dirty keys, the next flush writes all of it
+      this._index_rewritten = true;
+      throw err;
     }
 
-    return true;
+    // the journal is not needed anymore, since the state is on disk
+    this._truncate_journal();
+    this._emit_unlocked('flush', { cache_size: this.cache_size(), index_size: this.index_size() });
+
+    return stringified;
   }
 
   /**
-   * The last inserted cache item has the largest index.
+   * Async variant of `_flush()` that writes with `fs.promises`.
    * 
-   * @param {*} key 
    * @returns 
    */
-  get(key) {
-    if (this._check_key(key) !== 1) {
-      return undefined;
-    }
-
-    this._wait_persist_lock();
+  async _flush_async() {
+    this._log(`db.js - _flush_async() - Storing cache/index/reverse index`);
+    const [stringified, writes] = this._flush_contents();
 
-    if (this.index[key]) {
-      const cache_index = this._get_memory_cache_index(key);
-      if (cache_index !== -1) {
-        this._memory_cache_read_counter++;
-        return this.cache[cache_index];
-      } else {
-        return this._load_from_file(key);
+    try {
+      for (let [file_path, contents, append] of writes) {
+        if (append === true) {
+          await this._append_file_async(file_path, contents);
+        } else {
+          await this._write_file_async(file_path, contents);
+        }
       }
+    } catch (err) {
+      this._index_rewritten = true;
+      throw err;
     }
 
-    return undefined;
+    this._truncate_journal();
+    this._emit_unlocked('flush', { cache_size: this.cache_size(), index_size: this.index_size() });
+
+    return stringified;
   }
 
   /**
-   * Only for debugging/testing purposes.
-   * 
-   * Returns the index metadata for a given key.
+   * Serializes cache/index/reverse index/meta for flushing.
    * 
-   * @param {*} key 
+   * @returns the stringified cache and a list of [path, contents, append] to write
    */
-  _get_key_index_entry(key) {
-    if (this.index[key]) {
-      return this.index[key];
+  _flush_contents() {
+    let writes = [];
+
+    // 1. save cache
+    let stringified = JSON.stringify(this._cache_values());
+
+    if (this.cache_size() > 0) {
+      // flush cache contents
+      writes.push([this._path(this.cache_file_name), stringified]);
     }
 
-    return undefined;
+    // 2. save meta.json, a sequence number ahead of the index only leaves a gap
+    writes.push([this._path('meta.json'), JSON.stringify(this.meta, null, 2)]);
+
+    // 3. save changes of index and reverse index. The memory cache file is written 
+    // first, inserts without a reverse index slot are dropped by _drop_unindexed_values()
+    writes = writes.concat(this._index_writes());
+
+    // 4. save secondary indexes
+    if (Object.keys(this.sindex).length > 0) {
+      writes.push([this._path('sindex.json'), JSON.stringify(sindex_to_json(this.sindex))]);
+    }
+
+    // 5. save previous values
+    if (this.config.keep_history === true) {
+      writes.push([this._path('history.json'), JSON.stringify(this.versions)]);
+    }
+
+    return [stringified, writes];
   }
 
   /**
-   * If the key is currently residing in the memory cache, return 
-   * it's index, else return -1.
-   * 
-   * @param {} key 
+   * Opens the journal file for appending if `journal` is enabled.
    */
-  _get_memory_cache_index(key) {
-    if (this.index[key]) {
-      let cache_index = this.index_size() - (this.index[key].i + 1);
-      if (cache_index < this.cache_size()) {
-        return cache_index;
-      }
+  _open_journal() {
+    if (!this.config.journal || this.config.read_only === true) {
+      return;
     }
-    return -1;
-  }
 
-  get_cache() {
-    return this.cache;
+    this.journal_fd = fs.openSync(this._path('journal.log'), 'a');
+    this._journal_dirty = false;
+
+    if (Number.isInteger(this.config.journal_fsync)) {
+      this.journal_fsync_interval_id = setInterval(() => {
+        this._fsync_journal();
+      }, this.config.journal_fsync);
+    }
   }
 
   /**
-   * `getn(index_range, time_range)` - Returns an array of values in insertion order.
-   * 
-   * This means that the most recent inserted value (Inserted with `set(key, value)`) is
-   * returned as first element of the array. 
-   * When both `index_range=null` and `time_range=null`, then `getn()`
-   * returns the memory cache contents by default.
-   *
-   * The variable `index_range` selects values to be returned by index range.
-   * If you specify `index_range=[0, 500]`, then the last 500 inserted values are returned.
-   *
-   * The variable `time_range` selects values to be returned by an timestamp range.
-   * If you specify `time_range=[1649418657952, 1649418675192]`,
-   * then the items that were inserted between those two timestamps will be returned.
+   * Appends a write operation to the journal. Must be called 
+   * before the operation is applied to cache/index.
    * 
-   * @param {*} index_range 
-   * @param {*} time_range
-   *  
-   * @returns A list of values in the storage, sliced by the selecton criteria
+   * @param {*} record 
    */
-  getn(index_range = null, time_range = null) {
-    let start_index = 0;
-    let end_index = this.cache_size();
-    let size = this.index_size();
+  _append_journal(record) {
+    if (this.journal_fd === null) {
+      return;
+    }
 
-    this._wait_persist_lock();
+    fs.writeSync(this.journal_fd, JSON.stringify(record) + '\n');
+    this._journal_dirty = true;
 
-    if (index_range !== null) {
-      if (Array.isArray(index_range) && index_range.length === 2) {
-        start_index = index_range[0];
-        end_index = index_range[1];
-      } else {
-        this._log(`db.js - getn() - invalid index_range`);
-        return [];
-      }
+    if (this.config.journal_fsync === 'always') {
+      this._fsync_journal();
     }
+  }
 
-    if (time_range !== null) {
-      if (Array.isArray(time_range) && time_range.length === 2) {
-        start_index = this._binary_search_index(time_range[0]) + 1;
-        end_index = this._binary_search_index(time_range[1]) + 1;
-      } else {
-        this._log(`db.js - getn() - invalid time_range`);
-        return [];
-      }
+  _fsync_journal() {
+    if (this.journal_fd !== null && this._journal_dirty) {
+      fs.fsyncSync(this.journal_fd);
+      this._journal_dirty = false;
     }
+  }
 
-    // if we are overshooting, just return all data
-    if (end_index > size || start_index > size) {
-      this._log(`db.js - getn() - start_index=${start_index}, end_index=${end_index} cannot be larger than index size ${size}`);
-      start_index = 0;
-      end_index = size;
+  _truncate_journal() {
+    if (this.journal_fd !== null) {
+      fs.ftruncateSync(this.journal_fd, 0);
+      this._journal_dirty = true;
+      this._fsync_journal();
     }
+  }
 
-    // check we have correct start_index and end_index
-    if (start_index < 0 || end_index < 0 || start_index > end_index) {
-      this._log(`db.js - getn() - invalid indices: (start_index=${start_index}, end_index=${end_index})`);
-      return [];
+  _close_journal() {
+    if (this.journal_fd !== null) {
+      clearInterval(this.journal_fsync_interval_id);
+      this._fsync_journal();
+      fs.closeSync(this.journal_fd);
+      this.journal_fd = null;
     }
+  }
 
-    this._log(`db.js - getn() - start_index=${start_index}, end_index=${end_index}`);
-
-    // first get from in-memory cache
-    // and see if this already thresholds our limits
-    if (end_index <= this.cache.length) {
-      // we can serve from in-memory cache only
-      this._memory_cache_read_counter++;
-      return this.cache.slice(start_index, end_index);
-    } else {
-      // we have to load from archived database files
-      let key = this.rindex[(size - end_index).toString()];
-      if (key) {
-        let up_to_file = this.index[key].f;
-        let files = this._getFiles(false);
-        let to_load = [];
-        let i = 0;
-        while (i < files.length) {
-          let file = files[i];
-          to_load.push(file);
-          i++;
-          if (file.indexOf(up_to_file) !== -1) {
-            break;
-          }
-        }
-        this._log(`db.js - to_load from files: ${to_load}`);
-        this._log(`db.js - getn() has to load from disk ${i}/${files.length} up to file ${up_to_file}`);
+  /**
+   * Replays the journal on top of the loaded cache/index. 
+   * 
+   * A partially written last line (crash during the write) is ignored.
+   * Replaying is idempotent, since inserts of existing keys become updates.
+   */
+  _replay_journal() {
+    const journal_path = this._path('journal.log');
+    // the journal belongs to the writing process
+    if (!fs.existsSync(journal_path) || this.config.read_only === true) {
+      return;
+    }
 
-        let retval = this.cache;
-        this._memory_cache_read_counter++;
+    let lines = fs.readFileSync(journal_path).toString().split('\n');
+    let replayed = 0;
 
-        for (let file of to_load) {
-          let contents = fs.readFileSync(this._path(file)).toString();
-          this._file_cache_read_counter++;
-          let parsed_data = JSON.parse(contents);
-          retval = retval.concat(parsed_data);
-        }
+    for (let line of lines) {
+      if (line.trim().length === 0) {
+        continue;
+      }
 
-        return retval.slice(start_index, end_index);;
-      } else {
-        this._log(`db.js - retn=${retn} not in rindex`);
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        this._log(`db.js - _replay_journal() - ignoring broken journal record: ${err.message}`);
+        break;
       }
+
+      this._apply_record(record);
+      replayed++;
     }
 
-    return [];
+    if (replayed > 0) {
+      this._log(`db.js - _replay_journal() - replayed ${replayed} journal records`);
+      this._flush();
+    }
+
+    fs.truncateSync(journal_path, 0);
   }
 
   /**
-   * Return everything until the limit is reached.
+   * Replays a batch that was interrupted by a crash while it was applied or 
+   * flushed without journal, see `_apply_batch()`.
    * 
-   * @param {*} limit 
-   * @returns 
+   * batch.log is written atomically and removed after the flush, so it 
+   * contains the complete batch. Replaying the batch again is idempotent.
    */
-  _getn(limit = 1000) {
-    this._log(`db.js - _getn()`);
-    let retval = this.cache;
-    this._memory_cache_read_counter++;
-
-    if (retval.length > limit) {
-      return retval;
+  _replay_batch() {
+    const batch_path = this._path('batch.log');
+    if (!fs.existsSync(batch_path) || this.config.read_only === true) {
+      return;
     }
 
-    let files = this._getFiles(false);
-    this._log(`db.js - _getn() - files: ${files}`);
+    this._log(`db.js - _replay_batch() - replaying an interrupted batch`);
+    this._apply_record(JSON.parse(fs.readFileSync(batch_path).toString()));
+    this._flush();
+    fs.unlinkSync(batch_path);
+  }
 
-    for (let file of files) {
-      let contents = fs.readFileSync(this._path(file)).toString();
-      this._file_cache_read_counter++;
-      let parsed_data = JSON.parse(contents);
-      retval = retval.concat(parsed_data);
-      this._log(`db.js - retval length: ${retval.length}`);
-      if (retval.length > limit) {
-        return retval;
+  /**
+   * Applies a journal record to the cache and the index.
+   * 
+   * @param {*} record 
+   */
+  _apply_record(record) {
+    if (record.op === 'set') {
+      this._set(record.k, record.v, record.c, record.e);
+    } else if (record.op === 'delete' && this.index.has(record.k)) {
+      this._delete(record.k);
+    } else if (record.op === 'batch') {
+      for (let op of record.ops) {
+        this._apply_record(op);
       }
     }
+  }
 
-    return retval;
+  /**
+   * Releases the persist lock and emits the events that were deferred while it was held.
+   */
+  _release_persist_lock() {
+    this._persist_lock = false; // lock off
+    const events = this._deferred_events;
+    this._deferred_events = [];
+    for (let [event, args] of events) {
+      this._emit(event, ...args);
+    }
   }
 
-  _isFunction(functionToCheck) {
-    return functionToCheck && {}.toString.call(functionToCheck) === '[object Function]';
+  /**
+   * Emits `event` like `_emit()`, but defers it until the persist lock is released 
+   * if it is held, since listeners that use the API would throw.
+   * 
+   * @param {string} event 
+   * @param  {...any} args 
+   */
+  _emit_unlocked(event, ...args) {
+    if (this._persist_lock === true) {
+      this._deferred_events.push([event, args]);
+      return;
+    }
+    this._emit(event, ...args);
   }
 
   /**
-   * Walk over all files and apply a callback on the parsed result.
+   * A synchronous API operation cannot wait for the asynchronous persisting of 
+   * an `AsyncDBjs` instance, since it would block the event loop forever. 
+   * Synchronous persisting never overlaps with other operations.
+   */
+  _wait_persist_lock() {
+    if (this._persist_lock === true) {
+      this._log(`db.js - cannot run a synchronous operation while persisting asynchronously`, 'INFO', true);
+    }
+  }
+
+  /**
+   * If conditions apply, persist in-memory cache to disk.
    * 
-   * @param {*} callbacks - an array of callbacks to apply
-   * @param {int} limit - after how many items to stop
-   * @returns 
+   * This alters the state of this.cache.
+   * 
+   * While _persist() is running, no API operation is allowed to run (set(), get(), getn()).
    */
-  walk(callbacks, limit = 1000) {
-    this._log(`db.js - walk()`);
+  _persist() {
+    if (this.config.read_only === true) {
+      return;
+    }
 
-    let files = this._getFiles(false);
-    let num = 0;
+    this._persist_lock = true; // lock on
+    let archived = null;
 
-    // first lookup in cache
-    this._memory_cache_read_counter++;
-    for (let callback of callbacks) {
-      if (this._isFunction(callback)) {
-        callback(this.cache);
-      } else {
-        this._log(`db.js - callback is not a function...`);
+    try {
+      let stringified = this._flush();
+      this._log(`db.js - _persist()`);
+
+      // only archive an non-empty cache
+      if (this._should_archive(stringified) && this.cache_size() > 0) {
+        // meta.json is flushed before the rename, an interrupted rename
+        // is completed by _recover_archive() when the database is opened again
+        this._archive_cache();
+        this._flush_meta_file();
+        const target = this._archive_name(this.config.file_prefix + this.cache_file_name);
+        if (this._is_segment(target)) {
+          this._write_segment(target, this._cache_values());
+          fs.unlinkSync(this._path(this.cache_file_name));
+        } else if (target !== this.config.file_prefix + this.cache_file_name) {
+          this._write_file(this._path(target), this._compress(target, stringified));
+          fs.unlinkSync(this._path(this.cache_file_name));
+        } else {
+          fs.renameSync(this._path(this.cache_file_name), this._path(this.cache_file_name, true));
+        }
+        archived = { file: target, size: this.cache_size() };
+        this._create_cache_file();
       }
+
+      this._apply_retention();
+    } finally {
+      this._release_persist_lock();
     }
 
-    num += this.cache.length;
+    // listeners may use the API, so they are called after the lock is released
+    if (archived !== null) {
+      this._emit('archive', archived);
+    }
+  }
 
-    if (Number.isInteger(limit) && num >= limit) {
-      return true;
+  /**
+   * Async variant of `_persist()` that writes with `fs.promises`.
+   * 
+   * Used by `AsyncDBjs`, which queues all API operations behind it.
+   */
+  async _persist_async() {
+    if (this.config.read_only === true) {
+      return;
     }
 
-    for (let file of files) {
-      this._log(`db.js - walk() - apply callback on file: ${file}`);
-      let contents = fs.readFileSync(this._path(file)).toString();
-      this._file_cache_read_counter++;
-      let parsed_data = JSON.parse(contents);
-      num += parsed_data.length;
+    this._persist_lock = true; // lock on
+    let archived = null;
 
-      for (let callback of callbacks) {
-        if (this._isFunction(callback)) {
-          callback(parsed_data);
+    try {
+      let stringified = await this._flush_async();
+      this._log(`db.js - _persist_async()`);
+
+      if (this._should_archive(stringified) && this.cache_size() > 0) {
+        this._archive_cache();
+        await this._write_file_async(this._path('meta.json'), JSON.stringify(this.meta, null, 2));
+        const target = this._archive_name(this.config.file_prefix + this.cache_file_name);
+        if (this._is_segment(target)) {
+          await this._write_segment_async(target, this._cache_values());
+          await fs.promises.unlink(this._path(this.cache_file_name));
+        } else if (target !== this.config.file_prefix + this.cache_file_name) {
+          await this._write_file_async(this._path(target), await this._compress_async(target, stringified));
+          await fs.promises.unlink(this._path(this.cache_file_name));
         } else {
-          this._log(`db.js - callback is not a function...`);
+          await fs.promises.rename(this._path(this.cache_file_name), this._path(this.cache_file_name, true));
         }
+        archived = { file: target, size: this.cache_size() };
+        this.cache_file_name = (new Date()).getTime() + '.json';
+        this.cache = [];
+        await this._write_file_async(this._path(this.cache_file_name), JSON.stringify(this.cache));
       }
 
-      if (Number.isInteger(limit) && num >= limit) {
-        break;
-      }
+      this._apply_retention();
+    } finally {
+      this._release_persist_lock();
     }
 
-    return true;
+    if (archived !== null) {
+      this._emit('archive', archived);
+    }
   }
 
   /**
-   * Apply a callback str on all results.
+   * Decides whether the memory cache has to be archived, 
+   * based on its size and its age.
    * 
-   * @param {*} callback 
-   * @param {*} limit 
+   * @param {*} stringified - the stringified memory cache
+   * @returns 
    */
-  filter(callback_str, limit = 1000) {
-    this._log(`db.js - filter()`);
+  _should_archive(stringified) {
+    // archive current cache based on cache size?
+    const mbsize = round(Buffer.byteLength(stringified) / (1024 * 1024), 3);
+    this._log(`db.js - cache size:  ${mbsize}mb`);
 
-    let files = this._getFiles(false);
-    let num = 0;
-    let results = [];
-    let obj = {};
+    // archive current cache based on passed time?
+    const delta = ((new Date()).getTime() - this.started) / 1000;
+    this._log(`db.js - delta:  ${delta}s`);
 
-    // first lookup in cache
-    this._memory_cache_read_counter++;
-    for (let data of this.cache) {
-      if (data) {
-        try {
-          eval(callback_str);
-        } catch (err) {
-          return err.toString();
-        }
-      }
+    const space_exceeded = mbsize >= this.config.persist_after_MB;
+    if (space_exceeded) {
+      this._log(`db.js - Storage space exceeded threshold: cache size: ${mbsize}mb`);
+    }
+    const time_exceeded = (delta >= this.config.persist_after_seconds);
+    if (time_exceeded) {
+      this._log(`db.js - Cache age exceeded time threshold: ${this.config.persist_after_seconds}s`);
     }
 
-    num += this.cache.length;
+    return (space_exceeded || time_exceeded);
+  }
 
-    if (Number.isInteger(limit) && num >= limit) {
-      return results;
+  /**
+   * Registers the renamed memory cache file as archived file in meta.json.
+   */
+  _archive_cache() {
+    const archived_name = this.config.file_prefix + this.cache_file_name;
+    this._log(`db.js - Archived file with ${this.cache_size()} stored objects ${this.cache_file_name} --> ${archived_name}`);
+    this.meta.archive[archived_name] = {
+      size: this.cache_size(),
     }
+    // reset the started counter
+    this.started = (new Date()).getTime();
+  }
 
-    for (let file of files) {
-      this._log(`db.js - filter() - apply callback on file: ${file}`);
-      let contents = fs.readFileSync(this._path(file)).toString();
-      this._file_cache_read_counter++;
-      let parsed_data = JSON.parse(contents);
-      num += parsed_data.length;
+  /**
+   * Removes the oldest archived files while they exceed 
+   * `retention_max_age_seconds` or `retention_max_total_MB`.
+   * 
+   * An archived file was archived when the next newer archived file 
+   * (or the memory cache file) was created, its age is derived from that name.
+   * 
+   * @returns the removed archived files
+   */
+  _apply_retention() {
+    const max_age = this.config.retention_max_age_seconds;
+    const max_bytes = this.config.retention_max_total_MB * 1024 * 1024;
+    if (max_age === 0 && max_bytes === 0) {
+      return [];
+    }
 
-      for (let data of parsed_data) {
-        if (data) {
-          try {
-            eval(callback_str);
-          } catch (err) {
-            return err.toString();
-          }
-        }
+    if (this._open_iterators > 0) {
+      this._log(`db.js - _apply_retention() - deferred while iterate() is reading archived files`);
+      return [];
+    }
+
+    // oldest file first
+    const files = this._getFiles(false).reverse();
+    const now = (new Date()).getTime();
+    const regex = /(\d+)\.json/;
+
+    let bytes = {};
+    let total_bytes = 0;
+    if (max_bytes > 0) {
+      for (let file of files) {
+        bytes[file] = this._archive_bytes(file);
+        total_bytes += bytes[file];
       }
+    }
 
-      if (Number.isInteger(limit) && num >= limit) {
+    let dropped = [];
+    for (let n = 0; n < files.length; n++) {
+      const next = n + 1 < files.length ? files[n + 1] : this.cache_file_name;
+      const archived_at = parseInt(next.match(regex)[1]);
+      const too_old = max_age > 0 && (now - archived_at) / 1000 > max_age;
+      const too_large = max_bytes > 0 && total_bytes > max_bytes;
+      if (!too_old && !too_large) {
         break;
       }
+      dropped.push(files[n]);
+      total_bytes -= bytes[files[n]] || 0;
     }
 
-    return {
-      results: results,
-      obj: obj,
-    };
+    if (dropped.length > 0) {
+      this._log(`db.js - _apply_retention() - removing archived files ${dropped}`);
+      this._drop_archives(dropped);
+    }
+
+    return dropped;
   }
 
   /**
+   * Returns the number of bytes the archived file takes on disk.
    * 
-   * @returns returns the index size
+   * @param {*} file - archived file name, e.g. `dbjs_1648820673048.json`
    */
-  index_size() {
-    return Object.keys(this.index).length;
+  _archive_bytes(file) {
+    const physical = this._resolve_file(file);
+    let size = fs.statSync(this._path(physical)).size;
+    if (this._is_segment(physical) && fs.existsSync(this._path(physical + '.idx'))) {
+      size += fs.statSync(this._path(physical + '.idx')).size;
+    }
+    return size;
   }
 
   /**
+   * Removes the oldest archived files together with their keys.
    * 
-   * @returns returns the memory cache size
+   * The slots of the removed values are cut from the reverse index 
+   * and all remaining insertion indices are shifted down, so that the 
+   * oldest remaining value has the insertion index 0 again.
+   * 
+   * @param {*} files - the oldest archived files, oldest file first
    */
-  cache_size() {
-    return this.cache.length;
+  _drop_archives(files) {
+    const has_secondary_indexes = Object.keys(this.sindex).length > 0;
+    let shift = 0;
+
+    for (let file of files) {
+      const size = this.meta.archive[file].size;
+      const offset = this._get_archive_offset(file);
+      // the values are only needed to update the secondary indexes
+      const values = has_secondary_indexes ? this._read_file(file) : null;
+      for (let i = offset; i < offset + size; i++) {
+        const key = this.rindex[i];
+        if (key === null || key === undefined || !this.index.has(key)) {
+          continue;
+        }
+        if (values !== null) {
+          this._sindex_remove(key, values[(size - 1) - (i - offset)]);
+        }
+        delete this.versions[key];
+        this.index.delete(key);
+      }
+      shift += size;
+    }
+
+    for (let entry of this.index.values()) {
+      entry.i -= shift;
+    }
+    for (let file of files) {
+      delete this.meta.archive[file];
+    }
+    this.rindex = this.rindex.slice(shift);
+    this._index_rewritten = true;
+    this._file_lru.clear();
+
+    // the new state is flushed before the files are removed, the files are recorded 
+    // in meta.json, so that _recover_retention() removes them after a crash
+    this.meta.pending_drops = files.slice();
+    this._flush();
+    for (let file of files) {
+      this._remove_archive(file);
+    }
+    delete this.meta.pending_drops;
+    this._flush_meta_file();
   }
 
   /**
+   * Compacts the archived files.
    * 
-   * @returns returns the reverse index size
+   * Values of deleted keys are dropped and consecutive archived files are merged 
+   * into larger files of at most `persist_after_MB`. Afterwards the insertion 
+   * indices are renumbered and index/reverse index/meta are rewritten.
+   * 
+   * The insertion order and the creation timestamps of all keys are preserved,
+   * therefore `getn()` returns the same results before and after compaction.
+   * 
+   * The new files are written into the directory compact/ first and committed 
+   * by the marker compact.json. After a crash, `_recover_compaction()` completes 
+   * or discards the compaction when the database is opened again.
+   * 
+   * @returns an object with the number of archived files before/after compaction 
+   *   and the number of dropped values
    */
-  rindex_size() {
-    return Object.keys(this.rindex).length;
-  }
+  compact() {
+    this._check_writable('compact');
+    this._check_iterators('compact');
+    this._log(`db.js - compact()`);
 
-  _log(msg, level = 'INFO', throw_error = false) {
-    if (this.config.debug) {
-      let ts = (new Date()).toLocaleString();
-      let output = `[${ts}] - ${level} - ${msg}`;
-      if (fs.existsSync(path.dirname(this.config.logfile_path))) {
-        fs.appendFileSync(this.config.logfile_path, output + '\n');
+    this._wait_persist_lock();
+    this._persist_lock = true; // lock on
+
+    try {
+      // writes since the last flush must not be replayed from the journal onto the compacted files
+      this._flush();
+
+      const max_bytes = this.config.persist_after_MB * 1024 * 1024;
+      // archived files, oldest file first
+      const files = this._getFiles(false).reverse();
+      let dropped = 0;
+
+      // 1. find the live keys of every archived file and group 
+      // consecutive files up to a total size of `persist_after_MB`
+      let groups = [];
+      let group = null;
+      for (let file of files) {
+        let parsed_data = this._read_file(file);
+        this._file_cache_read_counter++;
+        let offset = this._get_archive_offset(file);
+        let keys = [];
+        let bytes = 0;
+        // oldest value first
+        for (let k = parsed_data.length - 1; k >= 0; k--) {
+          let key = this.rindex[offset + (parsed_data.length - 1 - k)];
+          if (key === null || key === undefined || !this.index.has(key)) {
+            dropped++;
+            continue;
+          }
+          keys.push(key);
+          bytes += Buffer.byteLength(JSON.stringify(parsed_data[k])) + 1;
+        }
+
+        let dirty = keys.length !== parsed_data.length;
+        if (group === null || (group.bytes + bytes > max_bytes && group.keys.length > 0)) {
+          group = { files: [], keys: [], bytes: 0, dirty: false };
+          groups.push(group);
+        }
+        group.files.push(file);
+        group.keys = group.keys.concat(keys);
+        group.bytes += bytes;
+        group.dirty = group.dirty || dirty || group.files.length > 1;
       }
-      console.log(output);
-    }
-    if (throw_error) {
-      throw Error(msg);
-    }
-  }
 
-  _binary_search_index(ts) {
-    let insertion_times = [];
-    for (let key in this.index) {
-      insertion_times.push(this.index[key].c);
-    }
+      // 2. renumber the keys in insertion order, archived files first, memory cache last
+      let index = new Map();
+      let rindex = [];
+      let archive = {};
+      let next = 0;
+
+      for (let group of groups) {
+        // the merged file takes the name of the most recent file in the group
+        let name = group.files[group.files.length - 1];
+        if (group.keys.length > 0) {
+          archive[name] = {
+            size: group.keys.length,
+          };
+        }
+        for (let key of group.keys) {
+          index.set(key, Object.assign({}, this.index.get(key), {
+            i: next,
+            f: name.slice(this.config.file_prefix.length),
+          }));
+          rindex.push(key);
+          next++;
+        }
+      }
 
-    let [start, end] = this._binary_search(insertion_times, ts);
+      let cache = [];
+      const cache_offset = this.rindex_size() - this.cache_size();
+      for (let k = 0; k < this.cache.length; k++) {
+        let key = this.rindex[cache_offset + k];
+        if (key === null || key === undefined || !this.index.has(key)) {
+          dropped++;
+          continue;
+        }
+        cache.push(this.cache[k]);
+        index.set(key, Object.assign({}, this.index.get(key), { i: next }));
+        rindex.push(key);
+        next++;
+      }
 
-    return end;
-  }
+      // 3. write the archived files that changed, the cache file, the index, the reverse 
+      // index and meta.json into the directory compact/, the most recent value first
+      fs.rmSync(this._path('compact'), { recursive: true, force: true });
+      fs.mkdirSync(this._path('compact'));
+      let marker = { files: {}, remove: [] };
+      for (let group of groups) {
+        if (group.dirty === false) {
+          continue;
+        }
 
-  _binary_search(sortedArray, key) {
-    let start = 0;
-    let end = sortedArray.length - 1;
+        let name = group.files[group.files.length - 1];
+        let merged = [];
+        for (let file of group.files) {
+          let parsed_data = this._read_file(file);
+          this._file_cache_read_counter++;
+          let offset = this._get_archive_offset(file);
+          for (let k = parsed_data.length - 1; k >= 0; k--) {
+            let key = this.rindex[offset + (parsed_data.length - 1 - k)];
+            if (key !== null && key !== undefined && this.index.has(key)) {
+              merged.unshift(parsed_data[k]);
+            }
+          }
+        }
 
-    while (start <= end) {
-      let middle = Math.floor((start + end) / 2);
+        if (merged.length > 0) {
+          const target = this._archive_name(name);
+          if (this._is_segment(target)) {
+            this._write_segment('compact/' + target, merged);
+          } else {
+            this._write_file(this._path('compact/' + target), this._compress(target, JSON.stringify(merged)));
+          }
+          marker.files[name] = target;
+          this._file_cache_write_counter++;
+        } else {
+          marker.remove.push(name);
+        }
 
-      if (sortedArray[middle] === key) {
-        // found the key
-        // return middle;
-        break;
-      } else if (sortedArray[middle] < key) {
-        // continue searching to the right
-        start = middle + 1;
-      } else {
-        // search searching to the left
-        end = middle - 1;
+        for (let file of group.files) {
+          if (file !== name) {
+            marker.remove.push(file);
+          }
+        }
+
+        this._log(`db.js - compact() - merged ${group.files} into ${name} with ${merged.length} values`);
       }
-    }
 
-    return [start, end];
+      const meta = Object.assign({}, this.meta, { archive: archive });
+      this._write_file(this._path('compact/' + this.cache_file_name), JSON.stringify(cache.slice().reverse()));
+      this._write_file(this._path('compact/index.json'), JSON.stringify(index_to_json(index)));
+      this._write_file(this._path('compact/rindex.json'), JSON.stringify(rindex_to_json(rindex)));
+      this._write_file(this._path('compact/meta.json'), JSON.stringify(meta, null, 2));
+
+      // 4. the marker commits the compaction, a crash before it leaves the old 
+      // files untouched, a crash after it is completed by _recover_compaction()
+      this._write_file(this._path('compact.json'), JSON.stringify(marker));
+      this._complete_compaction(marker);
+
+      // 5. swap in the new state and flush the history
+      this._file_lru.clear();
+      this.index = index;
+      this.rindex = rindex;
+      this._index_log_size = 0;
+      this._dirty_keys.clear();
+      this._dirty_slots.clear();
+      this.meta = meta;
+      this.cache = cache;
+      this._trim_history();
+      this._flush();
+
+      const retval = {
+        files_before: files.length,
+        files_after: Object.keys(archive).length,
+        dropped: dropped,
+      };
+      this._log(`db.js - compact() - ${JSON.stringify(retval)}`);
+
+      return retval;
+    } finally {
+      this._release_persist_lock();
+    }
   }
 
   /**
-   * Check whether the key can be used in dbjs.js
+   * Moves the files that `compact()` wrote into the directory compact/ 
+   * into the database directory and removes the merged archived files.
    * 
-   * key must be of type string
-   * key must be smaller than `max_key_size_bytes`
+   * Every step can be repeated, so that a crash while completing the 
+   * compaction is completed by `_recover_compaction()` as well.
    * 
-   * @param {*} key 
-   * @returns -1 if the key is not valid, else 1
+   * @param {*} marker - contents of compact.json: `{files, remove}` with the 
+   *   rewritten archived files and the archived files to remove
    */
-  _check_key(key) {
-    if (typeof key !== 'string') {
-      return -1;
+  _complete_compaction(marker) {
+    const move = (name) => {
+      if (fs.existsSync(this._path('compact/' + name))) {
+        fs.renameSync(this._path('compact/' + name), this._path(name));
+      }
+    };
+
+    for (let file in marker.files) {
+      const target = marker.files[file];
+      move(target);
+      if (this._is_segment(target)) {
+        move(target + '.idx');
+      }
+      for (let variant of this._archive_variants(file)) {
+        if (variant !== target) {
+          this._remove_variant(variant);
+        }
+      }
+    }
+    for (let file of marker.remove) {
+      this._remove_archive(file);
     }
 
-    if (key.length > this.config.max_key_size_bytes) {
-      return -1;
+    // the index files are moved last, index.log refers to the index before the compaction
+    for (let name of fs.readdirSync(this._path('compact'))) {
+      if (!['index.json', 'rindex.json', 'meta.json'].includes(name)) {
+        move(name);
+      }
+    }
+    move('index.json');
+    move('rindex.json');
+    if (fs.existsSync(this._path('index.log'))) {
+      this._write_file(this._path('index.log'), '');
     }
+    move('meta.json');
 
-    return 1;
+    fs.unlinkSync(this._path('compact.json'));
+    fs.rmSync(this._path('compact'), { recursive: true, force: true });
   }
 
   /**
-   * 
-   * value must be serializable to JSON
-   * value must be smaller than `max_value_size_bytes`
-   * 
-   * @param {*} value 
-   * @returns -1 if the value is not valid, else 1
+   * Completes a `compact()` that was interrupted by a crash after it wrote 
+   * compact.json, or discards the files of a compaction that was interrupted before.
    */
-  _check_value(value) {
-    let stringified;
-
-    try {
-      stringified = JSON.stringify(value);
-    } catch (err) {
-      this._log(`db.js - _check_value() value not serializable: ${err.message}`);
-      return -1;
-    }
-
-    if (typeof stringified !== 'string') {
-      return -1;
+  _recover_compaction() {
+    if (this.config.read_only === true) {
+      return;
     }
 
-    if (stringified.length > this.config.max_value_size_bytes) {
-      return -1;
+    if (fs.existsSync(this._path('compact.json'))) {
+      this._log(`db.js - _recover_compaction() - completing interrupted compaction`);
+      this._complete_compaction(JSON.parse(fs.readFileSync(this._path('compact.json')).toString()));
+    } else if (fs.existsSync(this._path('compact'))) {
+      this._log(`db.js - _recover_compaction() - discarding interrupted compaction`);
+      fs.rmSync(this._path('compact'), { recursive: true, force: true });
     }
-
-    return 1;
   }
 
-  _update_file(key, value) {
-    let path = this._path(this.index[key].f, true);
-
-    if (fs.existsSync(path)) {
-      let contents = fs.readFileSync(path).toString();
-      this._file_cache_read_counter++;
-      let parsed = JSON.parse(contents);
-      const file_index = this._get_archived_index(this.index[key].i, this.index[key].f, parsed.length);
-      if (file_index >= 0 && file_index <= parsed.length) {
-        parsed[file_index] = value;
-        fs.writeFileSync(path, JSON.stringify(parsed));
-        this._file_cache_write_counter++;
-      } else {
-        this._log(`db.js - file_index (${file_index}) is larger than file contents (${parsed.length})`);
-      }
+  _path(file_name, archived = false) {
+    if (archived) {
+      return path.join(this.config.database_path, this.config.file_prefix + file_name);
     } else {
-      this._log(`db.js - _update_file() file ${path} does not exist`);
+      return path.join(this.config.database_path, file_name);
     }
+  }
 
-    return null;
+  _create_cache_file() {
+    this.cache_file_name = (new Date()).getTime() + '.json';
+    this.cache = [];
+    this._write_file(this._path(this.cache_file_name), JSON.stringify(this.cache));
   }
 
   /**
-   * Load the key from the archived file.
+   * Writes a file atomically: the contents are written to a temporary file, 
+   * synced to disk and renamed over the target file. A crash leaves 
+   * either the old or the new file, but never a truncated one.
    * 
-   * @param {*} key 
-   * @returns 
+   * @param {*} file_path 
+   * @param {*} contents 
    */
-  _load_from_file(key) {
-    let path = this._path(this.index[key].f, true);
-
-    if (fs.existsSync(path)) {
-      let contents = fs.readFileSync(path).toString();
-      this._file_cache_read_counter++;
-      let parsed = JSON.parse(contents);
-      const file_index = this._get_archived_index(this.index[key].i, this.index[key].f, parsed.length);
-      return parsed[file_index];
-    } else {
-      this._log(`db.js - _load_from_file() file ${path} does not exist`);
+  _write_file(file_path, contents) {
+    const tmp_path = file_path + '.tmp';
+    const fd = fs.openSync(tmp_path, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
     }
-
-    return null;
+    fs.renameSync(tmp_path, file_path);
   }
 
-  _get_archived_index(index, file, length) {
-    let offset = 0;
-    for (let archive_file in this.meta.archive) {
-      if (archive_file.indexOf(file) !== -1) {
-        break;
-      }
-      offset += this.meta.archive[archive_file].size;
+  async _write_file_async(file_path, contents) {
+    const tmp_path = file_path + '.tmp';
+    const handle = await fs.promises.open(tmp_path, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
     }
-    let file_index = index - offset;
-    this._log(`db.js - _get_archived_index() index=${index}, file=${file}, offset=${offset}, file_index=${file_index}`);
-    return (length - 1) - file_index;
-  }
-
-  _flush_meta_file() {
-    const meta_path = this._path('meta.json');
-    fs.writeFileSync(meta_path, JSON.stringify(this.meta, null, 2));
+    await fs.promises.rename(tmp_path, file_path);
   }
 
   /**
-   * Flushes cache/index/reverse index to disk.
-   * 
-   * This method does not alter the state of cache/index/reverse index.
+   * Appends to a file and syncs it to disk.
    * 
-   * @returns 
+   * @param {*} file_path 
+   * @param {*} contents 
    */
-  _flush() {
-    this._log(`db.js - _flush() - Storing cache/index/reverse index`);
-    // 1. save cache
-    let stringified = JSON.stringify(this.cache);
-
-    if (this.cache_size() > 0) {
-      // flush cache contents
-      fs.writeFileSync(this._path(this.cache_file_name), stringified);
+  _append_file(file_path, contents) {
+    const fd = fs.openSync(file_path, 'a');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
     }
-
-    // 2. save index
-    const index_path = this._path('index.json');
-    let stringified_index = (this.index_size() > 10000) ? JSON.stringify(this.index) : JSON.stringify(this.index, null, 2);
-    fs.writeFileSync(index_path, stringified_index);
-
-    // 3. save reverse index
-    const rindex_path = this._path('rindex.json');
-    let stringified_rindex = (this.rindex_size() > 10000) ? JSON.stringify(this.rindex) : JSON.stringify(this.rindex, null, 2);
-    fs.writeFileSync(rindex_path, stringified_rindex);
-
-    // 4. save meta.json
-    this._flush_meta_file();
-
-    return stringified;
   }
 
-  _wait_persist_lock() {
-    // this is very ugly but I don't currently have a better idea
-    while (this._persist_lock === true) {
-      console.log(`db.js - _wait_persist_lock() ...`);
-      (async () => {
-        await sleep(10);
-      })();
+  async _append_file_async(file_path, contents) {
+    const handle = await fs.promises.open(file_path, 'a');
+    try {
+      await handle.appendFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
     }
   }
 
   /**
-   * If conditions apply, persist in-memory cache to disk.
+   * Completes archiving that was interrupted by a crash in _persist().
    * 
-   * This alters the state of this.cache.
-   * 
-   * While _persist() is running, no API operation is allowed to run (set(), get(), getn()).
+   * _persist() registers the archived file in meta.json before renaming the 
+   * memory cache file. If the archived file is missing, but the memory cache 
+   * file still exists, the rename is repeated. If the archived file exists 
+   * as segment or compressed file, the memory cache file was not removed yet. 
+   * Temporary files of interrupted atomic writes are removed, interrupted in-place 
+   * updates of segments are completed and an interrupted `migrate_archives()` 
+   * keeps the file in the configured format.
    */
-  _persist() {
-    this._persist_lock = true; // lock on
+  _recover_archive() {
+    if (this.config.read_only === true) {
+      return;
+    }
 
-    let stringified = this._flush();
-    this._log(`db.js - _persist()`);
+    for (let file of fs.readdirSync(this.config.database_path)) {
+      if (file.endsWith('.tmp')) {
+        this._log(`db.js - _recover_archive() - removing temporary file ${file}`);
+        fs.unlinkSync(this._path(file));
+      }
+    }
 
-    // archive current cache based on cache size?
-    const mbsize = round(Buffer.byteLength(stringified) / (1024 * 1024), 3);
-    this._log(`db.js - cache size:  ${mbsize}mb`);
+    this._recover_segment_updates();
 
-    // archive current cache based on passed time?
-    const delta = ((new Date()).getTime() - this.started) / 1000;
-    this._log(`db.js - delta:  ${delta}s`);
+    this._recover_retention();
 
-    const space_exceeded = mbsize >= this.config.persist_after_MB;
-    if (space_exceeded) {
-      this._log(`db.js - Storage space exceeded threshold: cache size: ${mbsize}mb`);
-    }
-    const time_exceeded = (delta >= this.config.persist_after_seconds);
-    if (time_exceeded) {
-      this._log(`db.js - Cache age exceeded time threshold: ${this.config.persist_after_seconds}s`);
-    }
+    for (let archived_name in this.meta.archive) {
+      const cache_file_name = archived_name.slice(this.config.file_prefix.length);
+      const existing = this._archive_variants(archived_name)
+        .filter((name) => fs.existsSync(this._path(name)));
 
-    const archive = (space_exceeded || time_exceeded);
+      if (existing.length === 0 && fs.existsSync(this._path(cache_file_name))) {
+        this._log(`db.js - _recover_archive() - completing interrupted archiving of ${cache_file_name}`);
+        fs.renameSync(this._path(cache_file_name), this._path(archived_name));
+      } else if (existing.length > 0 && fs.existsSync(this._path(cache_file_name))) {
+        this._log(`db.js - _recover_archive() - removing archived memory cache file ${cache_file_name}`);
+        fs.unlinkSync(this._path(cache_file_name));
+      }
 
-    // only archive an non-empty cache
-    if (archive && this.cache_size() > 0) {
-      const archived_name = path.join(
-        this.config.database_path,
-        this.config.file_prefix + this.cache_file_name,
-      );
-      fs.renameSync(this._path(this.cache_file_name), archived_name);
-      this._log(`db.js - Archived file with ${this.cache_size()} stored objects ${this.cache_file_name} --> ${archived_name}`);
-      this.meta.archive[this.config.file_prefix + this.cache_file_name] = {
-        size: this.cache_size(),
+      // the first existing file is kept, it is in the configured format if it exists
+      if (existing.length > 1) {
+        this._log(`db.js - _recover_archive() - completing interrupted migration of ${archived_name}`);
+        for (let name of existing.slice(1)) {
+          this._remove_variant(name);
+        }
       }
-      // we have to flush the meta file since _persist() could be 
-      // the last operation in the lifecycle
-      this._flush_meta_file();
-      this._create_cache_file();
-      // reset the started counter
-      this.started = (new Date()).getTime();
     }
-
-    this._persist_lock = false; // lock off
   }
 
-  _path(file_name, archived = false) {
-    if (archived) {
-      return path.join(this.config.database_path, this.config.file_prefix + file_name);
-    } else {
-      return path.join(this.config.database_path, file_name);
+  /**
+   * Completes the removal of archived files by the retention policy that was 
+   * interrupted by a crash, see `_drop_archives()`.
+   * 
+   * Only the files in `pending_drops` of meta.json are removed, and only if they 
+   * are no longer registered in meta.json. Archived files that are missing in 
+   * meta.json for any other reason are never removed, see `repair()`. This does 
+   * not depend on the retention policy being enabled when the database is opened.
+   */
+  _recover_retention() {
+    const pending = this.meta.pending_drops;
+    if (!Array.isArray(pending)) {
+      return;
     }
-  }
 
-  _create_cache_file() {
-    this.cache_file_name = (new Date()).getTime() + '.json';
-    this.cache = [];
-    fs.writeFileSync(this._path(this.cache_file_name), JSON.stringify(this.cache));
+    for (let file of pending) {
+      if (!this.meta.archive[file]) {
+        this._log(`db.js - _recover_retention() - removing archived file ${file} dropped by the retention policy`);
+        this._remove_archive(file);
+      }
+    }
+    delete this.meta.pending_drops;
+    this._flush_meta_file();
   }
 
   _load_cache() {
@@ -842,15 +4592,43 @@ class DBjs {
     }
 
     if (actual && fs.existsSync(this._path(actual))) {
-      this.cache = JSON.parse(fs.readFileSync(this._path(actual)).toString());
+      this.cache = this._read_file(actual).reverse();
       this.cache_file_name = actual;
       this._log('db.js - Loaded cache from file ' + this.cache_file_name);
+    } else if (this.config.read_only === true) {
+      this.cache = [];
+      this.cache_file_name = null;
     } else {
       this._log('db.js - Creating fresh/empty cache file ' + this.cache_file_name);
       this._create_cache_file();
     }
   }
 
+  /**
+   * Drops the most recently inserted values of the memory cache that have no 
+   * slot in the reverse index. `_flush()` writes the memory cache file before 
+   * the index, so a crash between both writes leaves inserts in the file that 
+   * the index does not know. They are replayed from the journal if it is enabled.
+   */
+  _drop_unindexed_values() {
+    let archived = 0;
+    for (let file in this.meta.archive) {
+      archived += this.meta.archive[file].size;
+    }
+
+    const indexed = this.rindex_size() - archived;
+    if (indexed < 0 || this.cache_size() <= indexed) {
+      return;
+    }
+
+    this._log(`db.js - dropping ${this.cache_size() - indexed} values of ${this.cache_file_name} without index entry`);
+    // the memory cache is stored oldest value first
+    this.cache.length = indexed;
+    if (this.config.read_only !== true) {
+      this._write_file(this._path(this.cache_file_name), JSON.stringify(this._cache_values()));
+    }
+  }
+
   /**
    * Return archived files from database directory in order of creation: 
    * most recently created file first, oldest file last
@@ -867,13 +4645,23 @@ class DBjs {
   _getFiles(include_memory_cache_file = false) {
     let self = this;
     // ignore index files
-    const ignore = ['index.json', 'rindex.json', 'meta.json'];
+    const ignore = ['index.json', 'rindex.json', 'index.log', 'meta.json', 'journal.log', 'batch.log', 'sindex.json', 'history.json', 'collections', 'quarantine', 'dbjs.lock', 'compact', 'compact.json'];
 
     let files = fs.readdirSync(this.config.database_path);
     let filtered = [];
 
     for (let file of files) {
-      if (ignore.includes(file)) {
+      if (ignore.includes(file) || file.startsWith('dbjs.lock.') || file.endsWith('.tmp') || file.endsWith('.idx') || file.endsWith('.redo')) {
+        continue;
+      }
+
+      // segments and compressed files are listed with the name of the archived file
+      if (self._is_segment(file)) {
+        file = file.slice(0, -'.ndjson'.length) + '.json';
+      } else if (file.endsWith('.json.gz') || file.endsWith('.json.br')) {
+        file = file.slice(0, -'.gz'.length);
+      }
+      if (filtered.includes(file)) {
         continue;
       }
 
@@ -900,25 +4688,294 @@ class DBjs {
     return filtered;
   }
 
+  /**
+   * Repairs the database, for example after the consistency checks failed.
+   * 
+   * The memory cache file and the archived files are parsed, unparsable files are 
+   * moved into the directory `quarantine/` of the database directory. Then the 
+   * sizes of the archived files in meta.json and the index and reverse index are 
+   * rebuilt from the data files. Keys keep their values as far as the position of 
+   * their value can be found from index.json or rindex.json, keys in quarantined 
+   * files are removed. The secondary indexes are rebuilt.
+   * 
+   * @returns the report `{fixed, unrecoverable, quarantined}` with a 
+   *   list of messages and the names of the quarantined files
+   */
+  repair() {
+    this._check_writable('repair');
+    this._check_iterators('repair');
+    this._wait_persist_lock();
+
+    this._flush();
+    this.repair_report = this._repair();
+    this._load_state();
+    this._load_secondary_indexes();
+    this._file_lru.clear();
+
+    return this.repair_report;
+  }
+
+  /**
+   * Rebuilds index.json, rindex.json and meta.json from the data files, 
+   * without using the loaded state of the database.
+   * 
+   * @returns the report `{fixed, unrecoverable, quarantined}`
+   */
+  _repair() {
+    this._recover_compaction();
+    this._recover_segment_updates();
+    let report = { fixed: [], unrecoverable: [], quarantined: [] };
+    const prefix = this.config.file_prefix;
+
+    const load = (name) => {
+      if (!fs.existsSync(this._path(name))) {
+        return null;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(this._path(name)).toString());
+      } catch (err) {
+        report.fixed.push(`${name} cannot be parsed and is rebuilt`);
+        return null;
+      }
+    };
+    const old_meta = load('meta.json');
+    const [logged_index, logged_rindex] = this._replay_index_log(index_from_json(load('index.json') || {}), rindex_from_json(load('rindex.json') || {}));
+    const old_index = index_to_json(logged_index);
+    const old_rindex = rindex_to_json(logged_rindex);
+    const old_archive = (old_meta && is_plain_object(old_meta.archive)) ? old_meta.archive : {};
+
+    for (let file of fs.readdirSync(this.config.database_path)) {
+      if (file.endsWith('.tmp')) {
+        fs.unlinkSync(this._path(file));
+      }
+    }
+
+    // 1. parse the data files, oldest file first. Every data file on disk is kept and 
+    // registered, also archived files that are missing in meta.json, since the offsets 
+    // in index.json and rindex.json count the values of all of them
+    let files = [];
+    for (let file of this._getFiles(true).reverse()) {
+      const archived = file.startsWith(prefix);
+      const name = archived ? file.slice(prefix.length) : file;
+
+      let values = null;
+      try {
+        values = this._read_file(file);
+        if (!Array.isArray(values)) {
+          throw Error('contents are not an array');
+        }
+      } catch (err) {
+        values = null;
+        const physical = this._quarantine(file);
+        report.quarantined.push(physical);
+        this._log(`db.js - _repair() - quarantined ${physical}: ${err.message}`);
+      }
+
+      // size of the file in the layout that index.json and rindex.json refer to, 
+      // the size in meta.json is only used for files that cannot be parsed
+      let old_size = values !== null ? values.length : 0;
+      if (values === null && old_archive[prefix + name]) {
+        old_size = old_archive[prefix + name].size;
+      }
+      files.push({ file: file, name: name, archived: archived, values: values, old_size: old_size });
+    }
+
+    // the most recent memory cache file stays the memory cache file
+    const last = files[files.length - 1];
+    const cache = (last && !last.archived && last.values !== null) ? last : null;
+
+    let old_offset = 0;
+    let offset = 0;
+    let by_name = {};
+    for (let file of files) {
+      file.old_offset = old_offset;
+      file.offset = offset;
+      old_offset += file.old_size;
+      offset += file.values !== null ? file.values.length : 0;
+      by_name[file.name] = file;
+    }
+
+    // 2. rebuild index and reverse index
+    let index = {};
+    let rindex = {};
+    for (let i = 0; i < offset; i++) {
+      rindex[i] = null;
+    }
+
+    const place = (key, entry, old_i) => {
+      const file = entry !== null ? by_name[entry.f] : 
+        files.find((file) => old_i >= file.old_offset && old_i < file.old_offset + file.old_size);
+      if (!file || file.values === null) {
+        report.unrecoverable.push(`key ${key}: its data file is missing or quarantined`);
+        return;
+      }
+      const position = old_i - file.old_offset;
+      if (position < 0 || position >= file.values.length) {
+        report.unrecoverable.push(`key ${key}: index ${old_i} is outside of ${file.file}`);
+        return;
+      }
+      const i = file.offset + position;
+      if (rindex[i] !== null) {
+        report.unrecoverable.push(`key ${key}: index ${i} belongs to key ${rindex[i]}`);
+        return;
+      }
+      rindex[i] = key;
+      // the creation time of keys without index entry is unknown, the file was created before
+      index[key] = Object.assign({}, entry !== null ? entry : { c: parseInt(file.name) }, { i: i, f: file.name });
+    };
+
+    // index entries that agree with rindex.json are placed first
+    let entries = [];
+    for (let key in old_index) {
+      if (is_plain_object(old_index[key]) && Number.isInteger(old_index[key].i)) {
+        entries.push(key);
+      } else {
+        report.unrecoverable.push(`key ${key}: broken index entry`);
+      }
+    }
+    entries.sort((a, b) => (old_rindex[old_index[b].i] === b) - (old_rindex[old_index[a].i] === a));
+    for (let key of entries) {
+      place(key, old_index[key], old_index[key].i);
+    }
+
+    let restored = 0;
+    for (let slot in old_rindex) {
+      const key = old_rindex[slot];
+      if (typeof key === 'string' && !is_plain_object(old_index[key])) {
+        place(key, null, parseInt(slot));
+        restored += index[key] !== undefined ? 1 : 0;
+      }
+    }
+    if (restored > 0) {
+      report.fixed.push(`restored ${restored} keys from rindex.json`);
+    }
+
+    let moved = 0;
+    for (let key in index) {
+      if (is_plain_object(old_index[key]) && (old_index[key].i !== index[key].i || old_index[key].f !== index[key].f)) {
+        moved++;
+      }
+    }
+    if (moved > 0) {
+      report.fixed.push(`${moved} keys got a new insertion index`);
+    }
+    if (report.fixed.length === 0 && JSON.stringify(rindex) !== JSON.stringify(old_rindex)) {
+      report.fixed.push(`rebuilt rindex.json`);
+    }
+
+    // values at positions that neither index.json nor rindex.json knew about
+    for (let file of files) {
+      if (file.values === null) {
+        continue;
+      }
+      let orphans = 0;
+      for (let position = 0; position < file.values.length; position++) {
+        const value = file.values[file.values.length - 1 - position];
+        if (rindex[file.offset + position] === null && value !== null && old_rindex[file.old_offset + position] === undefined) {
+          orphans++;
+        }
+      }
+      if (orphans > 0) {
+        report.unrecoverable.push(`${orphans} values of ${file.file} have no key`);
+      }
+    }
+
+    // 3. rebuild the sizes of the archived files
+    let archive = {};
+    for (let file of files) {
+      if (file.values === null || file === cache) {
+        continue;
+      }
+      const archived_name = prefix + file.name;
+      if (!file.archived) {
+        fs.renameSync(this._path(file.file), this._path(archived_name));
+        report.fixed.push(`archived the memory cache file ${file.file}`);
+      }
+      archive[archived_name] = { size: file.values.length };
+      if (!old_archive[archived_name]) {
+        report.fixed.push(`registered ${archived_name} in meta.json`);
+      } else if (old_archive[archived_name].size !== file.values.length) {
+        report.fixed.push(`size of ${archived_name} in meta.json: ${old_archive[archived_name].size} -> ${file.values.length}`);
+      }
+    }
+    for (let archived_name in old_archive) {
+      if (!archive[archived_name]) {
+        report.fixed.push(`removed ${archived_name} from meta.json`);
+      }
+    }
+
+    if (report.fixed.length + report.unrecoverable.length + report.quarantined.length === 0) {
+      this._log(`db.js - _repair() - nothing to repair`);
+      return report;
+    }
+
+    // 4. write the rebuilt files, the secondary indexes are rebuilt when loading the database
+    let meta = Object.assign({}, old_meta, { archive: archive });
+    // the files of an interrupted drop by the retention policy are registered again
+    delete meta.pending_drops;
+    if (old_meta === null) {
+      const seqs = Object.values(index).map((entry) => entry.s).filter(Number.isInteger);
+      if (seqs.length > 0) {
+        meta.seq = Math.max(...seqs);
+      }
+      meta.indexes = Object.keys(load('sindex.json') || {});
+    }
+    this._write_file(this._path('index.json'), JSON.stringify(index));
+    this._write_file(this._path('rindex.json'), JSON.stringify(rindex));
+    this._write_file(this._path('meta.json'), JSON.stringify(meta, null, 2));
+    fs.rmSync(this._path('index.log'), { force: true });
+    fs.rmSync(this._path('sindex.json'), { force: true });
+
+    this._log(`db.js - _repair() - ${JSON.stringify(report)}`);
+
+    return report;
+  }
+
+  /**
+   * Moves a data file into the directory `quarantine/` of the database directory.
+   * 
+   * @param {string} file - archived file or memory cache file
+   * @returns the name of the moved file
+   */
+  _quarantine(file) {
+    const physical = this._resolve_file(file);
+    const quarantine_path = this._path('quarantine');
+    fs.mkdirSync(quarantine_path, { recursive: true });
+
+    fs.renameSync(this._path(physical), path.join(quarantine_path, physical));
+    if (this._is_segment(physical) && fs.existsSync(this._path(physical + '.idx'))) {
+      fs.renameSync(this._path(physical + '.idx'), path.join(quarantine_path, physical + '.idx'));
+    }
+
+    return physical;
+  }
+
   /**
    * Detect broken database files and invalid values in meta file.
    * Abort quickly if data is inconsistent.
    */
   _consistency_checks() {
-    // check rindex keys are integers from 0 - rindex.length
-    if (this.rindex_size() > 0) {
-      let rindex_keys = Object.keys(this.rindex).map((key) => parseInt(key));
-      let sum = rindex_keys.reduce((a, b) => a + b);
-      let sum2 = ((rindex_keys.length - 1) * (rindex_keys.length) / 2);
-      if (sum != sum2) {
-        this._log(`ConsistencyCheck: Broken rindex (sum=${sum}, sum2=${sum2})`, 'INFO', true);
-      } else {
-        this._log(`db.js - Reverse Index healthy`);
+    try {
+      this._check_consistency();
+    } catch (err) {
+      this._emit('consistency_error', err);
+      throw err;
+    }
+  }
+
+  _check_consistency() {
+    // check rindex has a key or a tombstone for every slot from 0 - rindex.length
+    for (let i = 0; i < this.rindex_size(); i++) {
+      if (this.rindex[i] === undefined) {
+        this._log(`ConsistencyCheck: Broken rindex (missing slot ${i})`, 'INFO', true);
       }
     }
+    this._log(`db.js - Reverse Index healthy`);
 
-    if (this.index_size() !== this.rindex_size()) {
-      this._log(`ConsistencyCheck: Conflicting index sizes: (index=${this.index_size()}, rindex=${this.rindex_size()})`, 'INFO', true);
+    // deleted keys leave a tombstone in the reverse index
+    const tombstones = this._tombstone_count();
+    if (this.index_size() + tombstones !== this.rindex_size()) {
+      this._log(`ConsistencyCheck: Conflicting index sizes: (index=${this.index_size()}, rindex=${this.rindex_size()}, tombstones=${tombstones})`, 'INFO', true);
     }
 
     // check that meta.json contains all database files
@@ -933,9 +4990,8 @@ class DBjs {
     let num_items = 0;
     let all_files = this._getFiles(true);
     for (let file of all_files) {
-      let contents = fs.readFileSync(this._path(file)).toString();
-      let parsed_data = JSON.parse(contents);
-      num_items += parsed_data.length;
+      // values of the memory cache file without index entry were dropped when loading
+      num_items += file === this.cache_file_name ? this.cache_size() : this._read_file(file).length;
     }
 
     if (this.index_size() !== num_items && num_items !== this.rindex_size()) {
@@ -948,7 +5004,7 @@ class DBjs {
       sum += this.meta.archive[key].size;
     }
 
-    if (sum !== (this.index_size() - this.cache_size()) || sum !== (this.rindex_size() - this.cache_size())) {
+    if (sum !== (this.rindex_size() - this.cache_size())) {
       this._log(`ConsistencyCheck: meta archive file size does not amount to index/rindex size`
         , 'INFO', true);
     }
@@ -990,6 +5046,60 @@ class DBjs {
     if (this.config.file_prefix.length <= 0 || !this.config.file_prefix.includes('_')) {
       this._log('InvalidConfig: file_prefix must include a `_`', 'INFO', true);
     }
+
+    // check indexes
+    if (!Array.isArray(this.config.indexes) || this.config.indexes.some((field) => typeof field !== 'string' || field.length === 0)) {
+      this._log('InvalidConfig: indexes must be an array of field paths', 'INFO', true);
+    }
+
+    // check file_cache_MB
+    if (!(this.config.file_cache_MB >= 0 && this.config.file_cache_MB <= 10 * 1024)) {
+      this._log(`InvalidConfig: file_cache_MB must be in range [0, ${10 * 1024}]`, 'INFO', true);
+    }
+
+    // check index_checkpoint_MB
+    if (!(this.config.index_checkpoint_MB >= 0)) {
+      this._log(`InvalidConfig: index_checkpoint_MB must be a number >= 0`, 'INFO', true);
+    }
+
+    // check archive_format
+    if (!['json', 'ndjson'].includes(this.config.archive_format)) {
+      this._log(`InvalidConfig: archive_format must be 'json' or 'ndjson'`, 'INFO', true);
+    }
+
+    // check compression
+    if (!Object.keys(COMPRESSION_EXTENSIONS).includes(this.config.compression)) {
+      this._log(`InvalidConfig: compression must be 'none', 'gzip' or 'brotli'`, 'INFO', true);
+    }
+    if (this.config.compression !== 'none' && this.config.archive_format === 'ndjson') {
+      this._log(`InvalidConfig: compression cannot be used with archive_format 'ndjson'`, 'INFO', true);
+    }
+
+    // check retention_max_age_seconds and retention_max_total_MB
+    for (let option of ['retention_max_age_seconds', 'retention_max_total_MB']) {
+      if (typeof this.config[option] !== 'number' || !(this.config[option] >= 0)) {
+        this._log(`InvalidConfig: ${option} must be 0 (disabled) or a positive number`, 'INFO', true);
+      }
+    }
+
+    // check repair_on_open
+    if (this.config.repair_on_open === true && this.config.read_only === true) {
+      this._log(`InvalidConfig: repair_on_open cannot be used in read-only mode`, 'INFO', true);
+    }
+
+    // check keep_history and max_history
+    if (typeof this.config.keep_history !== 'boolean') {
+      this._log(`InvalidConfig: keep_history must be true or false`, 'INFO', true);
+    }
+    if (!Number.isInteger(this.config.max_history) || this.config.max_history < 1) {
+      this._log(`InvalidConfig: max_history must be a positive integer`, 'INFO', true);
+    }
+
+    // check journal_fsync
+    const fsync = this.config.journal_fsync;
+    if (fsync !== 'always' && fsync !== 'off' && !(Number.isInteger(fsync) && fsync > 0)) {
+      this._log(`InvalidConfig: journal_fsync must be 'always', 'off' or an interval in ms`, 'INFO', true);
+    }
   }
 
   _load_meta() {
@@ -1004,6 +5114,174 @@ class DBjs {
     }
   }
 
+  /**
+   * Loads history.json, the previous values of updated keys.
+   */
+  _load_history() {
+    if (this.config.keep_history !== true) {
+      return {};
+    }
+
+    return this._load_index('history.json');
+  }
+
+  /**
+   * Loads the index and the reverse index from the last checkpoint in 
+   * index.json and rindex.json and applies the changes in index.log.
+   */
+  _load_indices() {
+    const index = index_from_json(this._load_index());
+    const rindex = rindex_from_json(this._load_index('rindex.json'));
+    [this.index, this.rindex, this._index_log_size] = this._replay_index_log(index, rindex);
+
+    // keys and slots that changed since the last flush, see _index_writes()
+    this._dirty_keys = new Set();
+    this._dirty_slots = new Set();
+    // true if the index changed in a way the dirty keys cannot describe
+    this._index_rewritten = false;
+    // true to write index.json and rindex.json on the next flush
+    this._index_checkpoint = false;
+  }
+
+  /**
+   * Applies the records of index.log to an index (`Map`) and reverse index (array).
+   * 
+   * A partially written last line (crash during the write) is ignored and 
+   * cut off, unless the database is opened in read-only mode.
+   * 
+   * @returns `[index, rindex, log_size]` with the size in bytes of the valid records
+   */
+  _replay_index_log(index, rindex) {
+    const log_path = this._path('index.log');
+    if (!fs.existsSync(log_path)) {
+      return [index, rindex, 0];
+    }
+
+    const contents = fs.readFileSync(log_path).toString();
+    let log_size = 0;
+
+    for (let line of contents.split('\n')) {
+      if (line.length === 0) {
+        break;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        this._log(`db.js - _replay_index_log() - ignoring broken index record: ${err.message}`);
+        break;
+      }
+      log_size += Buffer.byteLength(line) + 1;
+
+      if (record.checkpoint === true) {
+        index = index_from_json(record.index);
+        rindex = rindex_from_json(record.rindex);
+        continue;
+      }
+      for (let [key, entry] of Object.entries(record.index)) {
+        if (entry === null) {
+          index.delete(key);
+        } else {
+          index.set(key, entry);
+        }
+      }
+      for (let slot in record.rindex) {
+        rindex[parseInt(slot)] = record.rindex[slot];
+      }
+      // slots of undone inserts are removed from the end of the reverse index
+      if (rindex.length > record.size) {
+        rindex.length = record.size;
+      }
+    }
+
+    if (log_size < Buffer.byteLength(contents) && this.config.read_only !== true) {
+      fs.truncateSync(log_path, log_size);
+    }
+
+    return [index, rindex, log_size];
+  }
+
+  /**
+   * Marks an index entry and a reverse index slot as changed, 
+   * so that the next flush appends them to index.log.
+   * 
+   * @param {*} key 
+   * @param {int} slot - insertion index, if the reverse index changed
+   */
+  _mark_dirty(key, slot = undefined) {
+    this._dirty_keys.add(key);
+    if (slot !== undefined) {
+      this._dirty_slots.add(slot);
+    }
+  }
+
+  /**
+   * Returns the writes that store the changes of the index and the reverse index.
+   * 
+   * The changed index entries and reverse index slots are appended to index.log. Once 
+   * index.log grows larger than `index_checkpoint_MB` (and when closing the database), 
+   * the index and the reverse index are written to index.json and rindex.json and 
+   * index.log is emptied. The record is appended before the checkpoint, so that a crash 
+   * during the checkpoint replays index.log onto either the old or the new checkpoint.
+   * 
+   * @returns a list of [path, contents, append]
+   */
+  _index_writes() {
+    const log_path = this._path('index.log');
+    let line = null;
+
+    if (this._index_rewritten === true) {
+      // the records in index.log cannot be replayed onto the rewritten index
+      if (this._index_log_size > 0) {
+        line = JSON.stringify({ checkpoint: true, index: index_to_json(this.index), rindex: rindex_to_json(this.rindex) }) + '\n';
+      }
+    } else if (this._dirty_keys.size > 0 || this._dirty_slots.size > 0) {
+      let record = { index: {}, rindex: {}, size: this.rindex_size() };
+      for (let key of this._dirty_keys) {
+        const entry = this.index.get(key);
+        record.index[key] = entry !== undefined ? entry : null;
+      }
+      for (let slot of this._dirty_slots) {
+        if (this.rindex[slot] !== undefined) {
+          record.rindex[slot] = this.rindex[slot];
+        }
+      }
+      line = JSON.stringify(record) + '\n';
+    }
+
+    const line_size = line !== null ? Buffer.byteLength(line) : 0;
+    const checkpoint = this._index_rewritten || this._index_checkpoint ||
+      this._index_log_size + line_size > this.config.index_checkpoint_MB * 1024 * 1024;
+
+    let writes = [];
+    // an empty index.log has nothing to replay, the checkpoint alone is enough
+    if (line !== null && !(checkpoint && this._index_log_size === 0)) {
+      writes.push([log_path, line, true]);
+      this._index_log_size += line_size;
+    }
+
+    if (checkpoint) {
+      const index = index_to_json(this.index);
+      let stringified_index = (this.index_size() > 10000) ? JSON.stringify(index) : JSON.stringify(index, null, 2);
+      writes.push([this._path('index.json'), stringified_index]);
+      const rindex = rindex_to_json(this.rindex);
+      let stringified_rindex = (this.rindex_size() > 10000) ? JSON.stringify(rindex) : JSON.stringify(rindex, null, 2);
+      writes.push([this._path('rindex.json'), stringified_rindex]);
+      if (this._index_log_size > 0 || fs.existsSync(log_path)) {
+        writes.push([log_path, '']);
+      }
+      this._index_log_size = 0;
+    }
+
+    this._dirty_keys.clear();
+    this._dirty_slots.clear();
+    this._index_rewritten = false;
+    this._index_checkpoint = false;
+
+    return writes;
+  }
+
   _load_index(name = 'index.json') {
     const index_path = this._path(name);
     if (fs.existsSync(index_path)) {
@@ -1015,4 +5293,142 @@ class DBjs {
   }
 }
 
-exports.DBjs = DBjs;
\ No newline at end of file
+/**
+ * Promise-based API of dbjs.js
+ * 
+ * All operations are queued and run one after another. The periodic 
+ * persisting of the memory cache runs in the same queue, so that 
+ * operations wait for an in-progress `_persist_async()` to finish. 
+ * Archived files are read and written with `fs.promises`.
+ * 
+ * Create instances with `await DBjs.open(config)`.
+ */
+class AsyncDBjs {
+  constructor(db) {
+    this.db = db;
+    this._queue = Promise.resolve();
+
+    // persist in the queue instead of blocking the event loop
+    clearInterval(db.flush_interval_id);
+    if (db.config.read_only === true) {
+      return;
+    }
+    db.flush_interval_id = setInterval(() => {
+      this._enqueue(async () => {
+        for (let instance of [db].concat(Object.values(db._collections))) {
+          instance._sweep_expired();
+          await instance._persist_async();
+        }
+      }).catch((err) => {
+        db._log(`db.js - _persist_async() failed: ${err.message}`);
+      });
+    }, (db.config.flush_interval * 1000));
+  }
+
+  /**
+   * Runs `fn` after all previously queued operations have finished.
+   * 
+   * @param {*} fn 
+   * @returns a Promise of the return value of `fn`
+   */
+  _enqueue(fn) {
+    const result = this._queue.then(() => fn());
+    // a failed operation must not stop the queue
+    this._queue = result.catch(() => { });
+    return result;
+  }
+
+  async set(key, value, options = {}) {
+    return this._enqueue(() => this.db.set(key, value, options));
+  }
+
+  async get(key, options = {}) {
+    if (options.at !== undefined) {
+      return this._enqueue(() => this.db.get(key, options));
+    }
+    return this._enqueue(() => this.db._get_async(key));
+  }
+
+  async getn(index_range = null, time_range = null) {
+    return this._enqueue(() => this.db._getn_async(index_range, time_range));
+  }
+
+  async delete(key) {
+    return this._enqueue(() => this.db.delete(key));
+  }
+
+  async batch(ops) {
+    return this._enqueue(() => this.db.batch(ops));
+  }
+
+  async changes(options = {}) {
+    return this._enqueue(() => this.db.changes(options));
+  }
+
+  async export(stream, options = {}) {
+    return this._enqueue(() => this.db.export(stream, options));
+  }
+
+  async snapshot(target_dir) {
+    return this._enqueue(() => this.db.snapshot(target_dir));
+  }
+
+  async import(stream, options = {}) {
+    return this._enqueue(() => this.db.import(stream, options));
+  }
+
+  async repair() {
+    return this._enqueue(() => this.db.repair());
+  }
+
+  iterate(options = {}) {
+    return this.db.iterate(options);
+  }
+
+  stream(options = {}) {
+    return this.db.stream(options);
+  }
+
+  /**
+   * Reloads the state of a read-only database in the queue, see `DBjs.refresh()`.
+   */
+  async refresh() {
+    return this._enqueue(() => this.db.refresh());
+  }
+
+  /**
+   * Adds a listener for the events of the database, see `DBjs`.
+   */
+  on(event, listener) {
+    this.db.on(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.db.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Persists the state and releases the database and its open collections.
+   */
+  async close() {
+    return this._enqueue(async () => {
+      this.db._log(`db.js - AsyncDBjs.close()`);
+      // _release() removes a collection from _collections
+      for (let collection of Object.values(this.db._collections)) {
+        collection._index_checkpoint = true;
+        await collection._persist_async();
+        collection._release();
+        collection._emit('close');
+      }
+      this.db._index_checkpoint = true;
+      await this.db._persist_async();
+      this.db._release();
+      this.db._emit('close');
+    });
+  }
+}
+
+exports.DBjs = DBjs;
+exports.AsyncDBjs = AsyncDBjs;
\ No newline at end of file
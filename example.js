@@ -70,6 +70,29 @@ app.get('/get_all', (req, res) => {
   return res.status(200).send(JSON.stringify(db_js._getn(100000), null, 2))
 })
 
+// Filtering values: http://localhost:3000/filter?query={"age":{"$gte":18}}
+// $regex is rejected, a regular expression from a request can block the server (ReDoS)
+
+app.get('/filter', (req, res) => {
+  res.header('Content-Type', 'application/json');
+
+  if (req.query.query === undefined) {
+    return res.status(400).send({ msg: 'you must provide a query' })
+  }
+
+  try {
+    let query = JSON.parse(req.query.query, (key, value) => {
+      if (key === '$regex') {
+        throw Error('$regex is not allowed');
+      }
+      return value;
+    });
+    return res.status(200).send(JSON.stringify(db_js.filter(query), null, 2))
+  } catch (err) {
+    return res.status(400).send({ msg: err.message })
+  }
+})
+
 app.get('/insert_random', (req, res) => {
   res.header('Content-Type', 'application/json');
 
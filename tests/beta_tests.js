@@ -51,10 +51,10 @@ async function more_tests() {
     assert(db_js.cache_size() === num_to_insert, 'cache size equals num_to_insert');
 
     // test that the first inserted key has index `i` 0
-    assert(db_js.index[to_insert[0][0]].i === 0, 'first inserted key has index `i` 0');
+    assert(db_js.index.get(to_insert[0][0]).i === 0, 'first inserted key has index `i` 0');
 
     // test that the last inserted key has index `i` num_to_insert-1
-    assert(db_js.index[to_insert[num_to_insert-1][0]].i === num_to_insert-1, 'last inserted key has index `i` num_to_insert-1');
+    assert(db_js.index.get(to_insert[num_to_insert-1][0]).i === num_to_insert-1, 'last inserted key has index `i` num_to_insert-1');
 
     setTimeout(function() {
         // at this point dbjs persisted all values to disk and cache is reset
@@ -0,0 +1,121 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the change events of the EventEmitter interface
+
+async function chi_tests() {
+    await exec('rm -rf ./chi_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './chi_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+    let events = [];
+    db_js.on('set', (event) => events.push(event));
+
+    const before = Date.now();
+    db_js.set('key_0', { i: 0 });
+    db_js.set('key_1', { i: 1 });
+    db_js.set('key_0', { i: 0, updated: true });
+    assert(events.length === 3, 'set event for every write');
+    assert(events[0].type === 'insert' && events[0].key === 'key_0' && events[0].index === 0 && events[0].ts >= before, 'set event of an insert');
+    assert(events[1].type === 'insert' && events[1].index === 1, 'set event contains the insertion index');
+    assert(events[2].type === 'update' && events[2].key === 'key_0' && events[2].index === 0, 'set event of an update');
+    assert(db_js.set('invalid', undefined) === false && events.length === 3, 'no set event for invalid writes');
+
+    events = [];
+    db_js.batch([
+        { op: 'set', key: 'key_1', value: { i: 1, updated: true } },
+        { op: 'set', key: 'key_2', value: { i: 2 } },
+        { op: 'delete', key: 'key_0' },
+    ]);
+    assert(events.length === 2 && events[0].type === 'update' && events[1].type === 'insert' && events[1].index === 2, 'set events of a batch');
+
+    // failing listeners do not interrupt writes and persisting
+    db_js.on('set', () => {
+        throw Error('listener error');
+    });
+    db_js.on('set', async () => {
+        throw Error('async listener error');
+    });
+    let last = null;
+    db_js.on('set', (event) => last = event);
+    assert(db_js.set('key_3', { i: 3 }) === true && db_js.get('key_3').i === 3, 'set() with a failing listener');
+    assert(last !== null && last.key === 'key_3', 'listeners after a failing listener are called');
+    db_js.removeAllListeners('set');
+
+    let flushes = [];
+    let archives = [];
+    db_js.on('flush', (event) => {
+        flushes.push(event);
+        throw Error('listener error');
+    });
+    db_js.on('archive', (event) => {
+        archives.push(event);
+        // listeners can use the API after the memory cache was archived
+        db_js.set('from_listener', { archived: event.file });
+        throw Error('listener error');
+    });
+    db_js._flush();
+    assert(flushes.length === 1 && flushes[0].index_size === 3 && flushes[0].cache_size === 4, 'flush event');
+
+    for (let i = 4; i < 14; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+    }
+    db_js._persist();
+    await sleep(5);
+    let files = db_js._getFiles(false);
+    assert(archives.length === 1 && archives[0].file === files[0] && archives[0].size === 14, 'archive event contains file name and size');
+    assert(fs.existsSync('./chi_db/' + archives[0].file) && db_js.cache_size() === 1, 'persist cycle completes with a failing listener');
+    assert(db_js.get('from_listener').archived === files[0] && db_js.get('key_13').i === 13, 'values after archiving');
+    db_js.removeAllListeners('flush');
+
+    // flush listeners of _persist() and compact() can use the API
+    let reads = [];
+    db_js.on('flush', () => reads.push(db_js.get('key_3').i));
+    db_js._persist();
+    db_js.compact();
+    assert(reads.length === 3 && reads.every((i) => i === 3), 'flush listeners can use the API: ' + JSON.stringify(reads));
+    db_js.removeAllListeners('flush');
+
+    // consistency errors
+    let consistency_errors = [];
+    db_js.once('consistency_error', (err) => consistency_errors.push(err));
+    let entry = db_js.index.get('key_5');
+    db_js.index.delete('key_5');
+    let error = null;
+    try {
+        db_js._consistency_checks();
+    } catch (err) {
+        error = err;
+    }
+    db_js.index.set('key_5', entry);
+    assert(error !== null && consistency_errors.length === 1 && consistency_errors[0] === error, 'consistency_error event');
+    assert(db_js.listenerCount('consistency_error') === 0, 'once() listeners are removed');
+
+    let closed = 0;
+    db_js.on('close', () => closed++);
+    db_js.close();
+    assert(closed === 1, 'close event');
+
+    // async API
+    let async_db = await DBjs.open(config);
+    let async_events = [];
+    async_db.on('set', (event) => async_events.push(event.key));
+    async_db.on('close', () => async_events.push('close'));
+    await async_db.set('async', 1);
+    await async_db.close();
+    assert(JSON.stringify(async_events) === '["async","close"]', 'events of the async API');
+
+    await exec('rm -rf ./chi_db/');
+}
+
+chi_tests()
@@ -17,6 +17,6 @@ let db_js = new DBjs(config);
 
 db_js.info()
 
-let all_keys = Object.keys(db_js.index)
+let all_keys = Array.from(db_js.index.keys())
 
 correct_order(db_js, all_keys, true);
\ No newline at end of file
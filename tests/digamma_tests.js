@@ -0,0 +1,123 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test hot backups with snapshot()
+
+async function fill(db_js, prefix, from, to) {
+    for (let i = from; i < to; i++) {
+        db_js.set(prefix + i, { i: i, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+}
+
+function same_inode(a, b) {
+    return fs.statSync(a).ino === fs.statSync(b).ino;
+}
+
+async function digamma_tests() {
+    await exec('rm -rf ./digamma_db/ ./digamma_snapshot/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './digamma_db/',
+        flush_interval: 4,
+        debug: false,
+        journal: true,
+        indexes: ['i'],
+    }
+    let snapshot_config = Object.assign({}, config, { database_path: './digamma_snapshot/' });
+
+    let db_js = new DBjs(config);
+    await fill(db_js, 'key_', 0, 25);
+    let events = db_js.collection('events', { archive_format: 'ndjson' });
+    await fill(events, 'event_', 0, 15);
+    let users = db_js.collection('users');
+    users.set('anna', { name: 'anna' });
+    users.close();
+
+    let error = null;
+    try {
+        db_js.snapshot('./digamma_db/');
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'the database directory cannot be the snapshot directory');
+
+    // full snapshot of a running database
+    let report = db_js.snapshot('./digamma_snapshot/');
+    assert(report.linked === 2 && report.copied === 2 && report.skipped === 0, 'archived files are linked, segments are copied: ' + JSON.stringify(report));
+    let file = db_js._getFiles(false)[0];
+    assert(same_inode('./digamma_db/' + file, './digamma_snapshot/' + file), 'archived files are hard linked');
+    assert(fs.existsSync('./digamma_snapshot/' + db_js.cache_file_name) && fs.existsSync('./digamma_snapshot/sindex.json'), 'memory cache file and secondary indexes are copied');
+    assert(!fs.existsSync('./digamma_snapshot/dbjs.lock') && !fs.existsSync('./digamma_snapshot/journal.log'), 'lockfile and journal are not copied');
+    assert(fs.existsSync('./digamma_snapshot/collections/events/dbjs.lock') === false && fs.existsSync('./digamma_snapshot/collections/users/index.json'), 'collections are part of the snapshot');
+    assert(db_js._collections['users'] === undefined, 'closed collections stay closed');
+
+    // the database keeps running and the snapshot keeps its state
+    db_js.set('key_3', { i: 3, updated: true });
+    db_js.set('after_snapshot', 1);
+    let snapshot = new DBjs(snapshot_config);
+    snapshot._consistency_checks();
+    assert(snapshot.index_size() === 25 && snapshot.get('key_24').i === 24, 'snapshot opens with all values');
+    assert(snapshot.get('key_3').updated === undefined && snapshot.get('after_snapshot') === undefined, 'snapshot is not affected by later writes');
+    assert(snapshot.find_by('i', 7).length === 1, 'secondary index of the snapshot');
+    let snapshot_events = snapshot.collection('events');
+    assert(snapshot_events.index_size() === 15 && snapshot_events.get('event_3').i === 3, 'collection of the snapshot');
+    assert(snapshot.collection('users').get('anna').name === 'anna', 'closed collection of the snapshot');
+    snapshot.close();
+
+    // incremental snapshot
+    await fill(db_js, 'key_', 25, 40);
+    events.set('event_2', { i: 2, updated: true });
+    report = db_js.snapshot('./digamma_snapshot/');
+    // the updated and two new archived files are linked, the updated segment is copied, 
+    // the unchanged archived file and offset table are skipped
+    assert(report.linked === 3 && report.copied === 1 && report.skipped === 2, 'only new and changed archived files are written: ' + JSON.stringify(report));
+    snapshot = new DBjs(snapshot_config);
+    snapshot._consistency_checks();
+    assert(snapshot.index_size() === 41 && snapshot.get('key_3').updated === true && snapshot.get('key_39').i === 39, 'incremental snapshot opens with all values');
+    assert(snapshot.collection('events').get('event_2').updated === true, 'updated segment is copied');
+    snapshot.close();
+
+    // archived files removed by compact() are removed from the snapshot
+    db_js.delete('key_0');
+    db_js.compact();
+    report = db_js.snapshot('./digamma_snapshot/');
+    assert(report.removed > 0, 'removed archived files are removed from the snapshot: ' + JSON.stringify(report));
+    snapshot = new DBjs(snapshot_config);
+    snapshot._consistency_checks();
+    assert(snapshot.index_size() === 40 && snapshot.get('key_0') === undefined, 'snapshot after compact()');
+    snapshot.close();
+    db_js.close();
+
+    // read-only mode
+    let reader = new DBjs(Object.assign({}, config, { read_only: true }));
+    error = null;
+    try {
+        reader.snapshot('./digamma_snapshot/');
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null && error.message.includes('ReadOnly'), 'snapshot() throws in read-only mode');
+    reader.close();
+
+    // async API
+    let async_db = await DBjs.open(config);
+    await async_db.set('async', 1);
+    await async_db.snapshot('./digamma_snapshot/');
+    await async_db.close();
+    snapshot = new DBjs(snapshot_config);
+    assert(snapshot.get('async') === 1, 'async snapshot()');
+    snapshot.close();
+
+    await exec('rm -rf ./digamma_db/ ./digamma_snapshot/');
+}
+
+digamma_tests()
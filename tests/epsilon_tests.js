@@ -0,0 +1,86 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, randomString} = require('./test_utils');
+
+// test that deleted keys disappear from all read paths,
+// both from the memory cache and from archived files
+
+async function epsilon_tests() {
+    await exec('rm -rf ./epsilon_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './epsilon_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+
+    let archived = [];
+    for (let i = 0; i < 10; i++) {
+        let item = [randomString(7), randomString(200)];
+        archived.push(item);
+        db_js.set(item[0], item[1]);
+    }
+
+    // the memory cache exceeds `persist_after_MB` and is archived
+    db_js._persist();
+    assert(db_js.cache_size() === 0, 'memory cache was archived');
+
+    let cached = [];
+    for (let i = 0; i < 5; i++) {
+        let item = [randomString(7), randomString(200)];
+        cached.push(item);
+        db_js.set(item[0], item[1]);
+    }
+
+    assert(db_js.delete(archived[3][0]) === true, 'delete() of archived key returns true');
+    assert(db_js.delete(cached[1][0]) === true, 'delete() of cached key returns true');
+    assert(db_js.delete('does_not_exist') === false, 'delete() of unknown key returns false');
+
+    assert(db_js.get(archived[3][0]) === undefined, 'get() of deleted archived key returns undefined');
+    assert(db_js.get(cached[1][0]) === undefined, 'get() of deleted cached key returns undefined');
+    assert(db_js.get(archived[4][0]) === archived[4][1], 'get() of archived neighbour still works');
+    assert(db_js.get(cached[2][0]) === cached[2][1], 'get() of cached neighbour still works');
+    assert(db_js.index_size() === 13, 'index size shrinks by 2: ' + db_js.index_size());
+    assert(db_js.rindex_size() === 15, 'reverse index keeps tombstones: ' + db_js.rindex_size());
+
+    let all = db_js.getn([0, 1000]);
+    let deleted_values = [archived[3][1], cached[1][1]];
+    assert(all.length === 13, 'getn() hides deleted values: ' + all.length);
+    assert(!all.some((value) => deleted_values.includes(value)), 'getn() does not return deleted values');
+    assert(all[0] === cached[4][1] && all[all.length - 1] === archived[0][1], 'getn() keeps insertion order');
+
+    let first = db_js.getn([0, 4]);
+    assert(first.length === 4 && first[3] === cached[0][1], 'getn() index range counts live values only');
+
+    let walked = 0;
+    db_js.walk([(data) => walked += data.length]);
+    assert(walked === 13, 'walk() hides deleted values: ' + walked);
+
+    let filtered = db_js.filter(() => true);
+    assert(filtered.length === 13, 'filter() hides deleted values');
+
+    // a new key gets the next slot after the tombstones
+    let item = [randomString(7), randomString(200)];
+    db_js.set(item[0], item[1]);
+    assert(db_js._get_key_index_entry(item[0]).i === 15, 'new key is inserted after tombstones');
+    assert(db_js.get(item[0]) === item[1], 'get() of new key works');
+
+    db_js.close();
+
+    // the deletion survives a restart and passes the consistency checks
+    let new_db_js = new DBjs(config);
+    assert(new_db_js.get(archived[3][0]) === undefined, 'deleted archived key stays deleted after restart');
+    assert(new_db_js.get(cached[1][0]) === undefined, 'deleted cached key stays deleted after restart');
+    assert(new_db_js.get(cached[2][0]) === cached[2][1], 'cached neighbour survives restart');
+    assert(new_db_js.getn([0, 1000]).length === 14, 'getn() after restart returns all live values');
+    new_db_js.close();
+
+    await exec('rm -rf ./epsilon_db/');
+}
+
+epsilon_tests()
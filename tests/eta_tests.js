@@ -0,0 +1,64 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const fs = require('fs');
+const exec = util.promisify(require('child_process').exec);
+const exec_file = util.promisify(require('child_process').execFile);
+const {assert} = require('./test_utils');
+
+// test that writes survive a crash between two flushes when the journal is enabled.
+// The child process sets some keys and kills itself with SIGKILL before any flush.
+
+const config = {
+    persist_after_MB: 20,
+    persist_after_seconds: 7,
+    database_path: './eta_db/',
+    flush_interval: 60,
+    debug: false,
+    journal: true,
+    journal_fsync: 'always',
+}
+
+const child_script = `
+const DBjs = require('../dbjs').DBjs;
+let db_js = new DBjs(${JSON.stringify(config)});
+db_js.set('flushed', 'before crash');
+db_js._persist();
+for (let i = 0; i < 50; i++) {
+    db_js.set('key_' + i, {value: i});
+}
+db_js.set('flushed', 'updated after flush');
+db_js.delete('key_7');
+process.kill(process.pid, 'SIGKILL');
+`;
+
+async function eta_tests() {
+    await exec('rm -rf ./eta_db/');
+
+    try {
+        await exec_file('node', ['-e', child_script]);
+    } catch (err) {
+        assert(err.signal === 'SIGKILL', 'child process was killed with SIGKILL');
+    }
+
+    let journal = fs.readFileSync(config.database_path + 'journal.log').toString().trim().split('\n');
+    assert(journal.length === 52, 'journal contains all writes after the last flush: ' + journal.length);
+
+    let db_js = new DBjs(config);
+    assert(db_js.get('flushed') === 'updated after flush', 'update after the last flush was replayed');
+    assert(db_js.get('key_49').value === 49, 'insert after the last flush was replayed');
+    assert(db_js.get('key_7') === undefined, 'delete after the last flush was replayed');
+    assert(db_js.index_size() === 50, 'index has all replayed keys: ' + db_js.index_size());
+    assert(fs.readFileSync(config.database_path + 'journal.log').length === 0, 'journal is empty after replay');
+
+    db_js.set('after_replay', 1);
+    db_js.close();
+
+    let new_db_js = new DBjs(config);
+    assert(new_db_js.get('after_replay') === 1, 'values survive a regular restart');
+    assert(new_db_js.get('key_0').value === 0, 'replayed values survive a regular restart');
+    new_db_js.close();
+
+    await exec('rm -rf ./eta_db/');
+}
+
+eta_tests()
@@ -0,0 +1,134 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the value history of updated keys
+
+function values(history) {
+    return JSON.stringify(history.map((version) => version.value));
+}
+
+async function heta_tests() {
+    await exec('rm -rf ./heta_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './heta_db/',
+        flush_interval: 4,
+        debug: false,
+        keep_history: true,
+        max_history: 3,
+    }
+
+    let error = null;
+    try {
+        new DBjs(Object.assign({}, config, { max_history: 0 }));
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'invalid max_history is rejected');
+
+    // without keep_history, no history is recorded
+    let db_js = new DBjs(Object.assign({}, config, { keep_history: false }));
+    db_js.set('key', 1);
+    db_js.set('key', 2);
+    assert(db_js.history('key').length === 0 && db_js.get('key', { at: 0 }) === undefined, 'no history without keep_history');
+    db_js.close();
+    assert(!fs.existsSync('./heta_db/history.json'), 'no history.json without keep_history');
+    await exec('rm -rf ./heta_db/');
+
+    db_js = new DBjs(config);
+    db_js.set('key', 'v1');
+    const t1 = db_js.index.get('key').c;
+    await sleep(5);
+    db_js.set('key', 'v2');
+    const t2 = db_js.index.get('key').u;
+    await sleep(5);
+    db_js.set('key', 'v3');
+    const t3 = db_js.index.get('key').u;
+
+    let history = db_js.history('key');
+    assert(values(history) === '["v2","v1"]', 'history() returns the previous values, most recent first');
+    assert(history[0].ts === t2 && history[1].ts === t1, 'previous values carry the time they were written');
+    assert(db_js.get('key') === 'v3', 'get() returns the current value');
+    assert(db_js.get('key', { at: t1 }) === 'v1' && db_js.get('key', { at: t2 - 1 }) === 'v1', 'get() at the time of the first value');
+    assert(db_js.get('key', { at: t2 }) === 'v2' && db_js.get('key', { at: t3 }) === 'v3' && db_js.get('key', { at: Date.now() }) === 'v3', 'get() at later times');
+    assert(db_js.get('key', { at: t1 - 1 }) === undefined, 'get() before the key was inserted');
+    assert(db_js.get('missing', { at: t1 }) === undefined && db_js.history('missing').length === 0, 'missing keys have no history');
+
+    error = null;
+    try {
+        db_js.get('key', { at: 'yesterday' });
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'invalid at is rejected');
+
+    // at most max_history previous values per key
+    for (let i = 4; i <= 7; i++) {
+        db_js.set('key', 'v' + i);
+    }
+    assert(values(db_js.history('key')) === '["v6","v5","v4"]', 'oldest previous values are dropped');
+
+    // updates of archived values
+    for (let i = 0; i < 10; i++) {
+        db_js.set('archived_' + i, { i: i, padding: 'x'.repeat(100) });
+    }
+    db_js._persist();
+    await sleep(5);
+    db_js.set('archived_3', { i: 3, updated: true });
+    assert(db_js.history('archived_3')[0].value.i === 3 && db_js.history('archived_3')[0].value.updated === undefined, 'previous value of an archived key');
+
+    // deleting a key deletes its history
+    db_js.set('deleted', 1);
+    db_js.set('deleted', 2);
+    db_js.delete('deleted');
+    assert(db_js.history('deleted').length === 0 && db_js.get('deleted', { at: t1 }) === undefined, 'delete() drops the history');
+
+    // a failed batch restores the history
+    const update_file = db_js._update_file;
+    db_js._update_file = () => {
+        throw Error('disk full');
+    }
+    try {
+        db_js.batch([{ op: 'set', key: 'key', value: 'batch' }, { op: 'set', key: 'archived_4', value: 4 }]);
+    } catch (err) { }
+    db_js._update_file = update_file;
+    assert(values(db_js.history('key')) === '["v6","v5","v4"]', 'failed batch restores the history');
+    db_js.close();
+
+    // the history survives restarts
+    assert(fs.existsSync('./heta_db/history.json'), 'history is stored in history.json');
+    db_js = new DBjs(config);
+    assert(values(db_js.history('key')) === '["v6","v5","v4"]' && db_js.get('key', { at: t2 }) === undefined, 'history after restart');
+
+    // keys deleted while keep_history was disabled
+    db_js.close();
+    db_js = new DBjs(Object.assign({}, config, { keep_history: false }));
+    db_js.delete('archived_3');
+    db_js.close();
+
+    // compaction respects max_history
+    db_js = new DBjs(Object.assign({}, config, { max_history: 2 }));
+    assert(db_js.history('archived_3').length === 0, 'history of keys deleted without keep_history is dropped');
+    db_js.set('key', 'v8');
+    db_js.set('archived_5', { i: 5, updated: true });
+    db_js.compact();
+    assert(values(db_js.history('key')) === '["v7","v6"]', 'compact() keeps at most max_history previous values');
+    assert(db_js.history('archived_5')[0].value.i === 5 && db_js.get('archived_5').updated === true, 'history of archived keys after compact()');
+    db_js.close();
+    let stored = JSON.parse(fs.readFileSync('./heta_db/history.json').toString());
+    assert(stored['key'].length === 2, 'compacted history is flushed');
+
+    // async API
+    let async_db = await DBjs.open(config);
+    assert((await async_db.get('key', { at: Date.now() })) === 'v8', 'async get() with at');
+    await async_db.close();
+
+    await exec('rm -rf ./heta_db/');
+}
+
+heta_tests()
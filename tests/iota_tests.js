@@ -0,0 +1,103 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const fs = require('fs');
+const exec = util.promisify(require('child_process').exec);
+const exec_file = util.promisify(require('child_process').execFile);
+const {assert} = require('./test_utils');
+
+// test that a crash during archiving in _persist() and leftovers
+// of interrupted atomic writes do not break the database
+
+const config = {
+    persist_after_MB: 0.001,
+    persist_after_seconds: 7,
+    database_path: './iota_db/',
+    flush_interval: 60,
+    debug: false,
+}
+
+// the child process is killed right before the memory cache file is
+// renamed into an archived file, after meta.json has been flushed
+const child_script = `
+const fs = require('fs');
+const DBjs = require('../dbjs').DBjs;
+let db_js = new DBjs(${JSON.stringify(config)});
+for (let i = 0; i < 20; i++) {
+    db_js.set('key_' + i, 'x'.repeat(100) + i);
+}
+const renameSync = fs.renameSync;
+fs.renameSync = function (from, to) {
+    if (!from.endsWith('.tmp')) {
+        process.kill(process.pid, 'SIGKILL');
+    }
+    return renameSync(from, to);
+};
+db_js._persist();
+`;
+
+async function iota_tests() {
+    await exec('rm -rf ./iota_db/');
+
+    try {
+        await exec_file('node', ['-e', child_script]);
+    } catch (err) {
+        assert(err.signal === 'SIGKILL', 'child process was killed with SIGKILL');
+    }
+
+    let meta = JSON.parse(fs.readFileSync(config.database_path + 'meta.json').toString());
+    let archived_name = Object.keys(meta.archive)[0];
+    assert(archived_name !== undefined, 'meta.json was flushed before the rename');
+    assert(!fs.existsSync(config.database_path + archived_name), 'archived file was not created before the crash');
+
+    // garbage of an interrupted atomic write
+    fs.writeFileSync(config.database_path + 'index.json.tmp', '{"broken":');
+
+    let db_js = new DBjs(config);
+    assert(fs.existsSync(config.database_path + archived_name), 'interrupted archiving was completed');
+    assert(!fs.existsSync(config.database_path + 'index.json.tmp'), 'temporary file was removed');
+    assert(db_js.cache_size() === 0, 'memory cache is empty');
+    assert(db_js.get('key_0') === 'x'.repeat(100) + 0, 'get() of archived value after recovery');
+    assert(db_js.getn([0, 100]).length === 20, 'getn() returns all values after recovery');
+
+    db_js.set('new_key', 'new_value');
+    db_js.close();
+
+    // no temporary files remain after regular writes
+    let tmp_files = fs.readdirSync(config.database_path).filter((file) => file.endsWith('.tmp'));
+    assert(tmp_files.length === 0, 'no temporary files remain');
+
+    let new_db_js = new DBjs(config);
+    assert(new_db_js.get('new_key') === 'new_value', 'values survive a regular restart');
+    new_db_js.close();
+
+    // a crash after the memory cache file was written but before the index
+    for (let journal of [false, true]) {
+        await exec('rm -rf ./iota_db/');
+        const crash_config = Object.assign({}, config, { index_checkpoint_MB: 0, journal: journal });
+        db_js = new DBjs(crash_config);
+        db_js.set('key_0', 0);
+        db_js._flush();
+        db_js.set('key_1', 1);
+        const write_file = db_js._write_file;
+        db_js._write_file = function (file_path, contents) {
+            if (file_path.endsWith('index.json')) {
+                throw Error('crash');
+            }
+            return write_file.call(this, file_path, contents);
+        }
+        try {
+            db_js._flush();
+        } catch (err) { }
+        db_js._write_file = write_file;
+        db_js._release();
+
+        db_js = new DBjs(crash_config);
+        const expected = journal ? 1 : undefined;
+        assert(db_js.get('key_0') === 0 && db_js.get('key_1') === expected && db_js.cache_size() === db_js.index_size() && db_js.rindex_size() === db_js.index_size(), `values without index entry are dropped (journal: ${journal})`);
+        db_js.close();
+    }
+
+    await exec('rm -rf ./iota_db/');
+}
+
+iota_tests()
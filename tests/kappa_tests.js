@@ -0,0 +1,92 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert} = require('./test_utils');
+
+// test filter() with predicate functions and query objects
+// across the memory cache and archived files
+
+function throws(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+async function kappa_tests() {
+    await exec('rm -rf ./kappa_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './kappa_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+
+    const names = ['anna', 'bob', 'carl', 'dora', 'emil', 'fred'];
+    for (let i = 0; i < 30; i++) {
+        let user = {
+            name: names[i % names.length],
+            age: 10 + i,
+            tags: i % 2 === 0 ? ['even'] : ['odd'],
+            padding: 'x'.repeat(50),
+        };
+        if (i % 3 === 0) {
+            user.email = `user${i}@example.com`;
+        }
+        db_js.set('user_' + i, { user: user, score: i });
+        // archive some of the values
+        if (i === 14) {
+            db_js._persist();
+        }
+    }
+    db_js.set('plain', 'some string');
+
+    assert(db_js._getFiles(false).length === 1 && db_js.cache_size() === 16, 'values are in archived file and memory cache');
+
+    let adults = db_js.filter((value) => value.user !== undefined && value.user.age >= 18);
+    assert(adults.length === 22, 'filter() with predicate function: ' + adults.length);
+    assert(adults[0].score === 29 && adults[adults.length - 1].score === 8, 'filter() returns most recently inserted value first');
+
+    assert(db_js.filter({ 'user.name': 'bob' }).length === 5, 'field equality');
+    assert(db_js.filter({ 'user.tags': ['odd'] }).length === 15, 'deep equality');
+    assert(db_js.filter({ 'score': { '$gte': 10, '$lt': 20 } }).length === 10, '$gte and $lt');
+    assert(db_js.filter({ 'score': { '$gt': 27 } }).length === 2, '$gt');
+    assert(db_js.filter({ 'score': { '$lte': 0 } }).length === 1, '$lte');
+    assert(db_js.filter({ 'score': { '$ne': 3 }, 'user.name': 'dora' }).length === 4, '$ne combined with equality');
+    assert(db_js.filter({ 'user.name': { '$in': ['anna', 'fred'] } }).length === 10, '$in');
+    assert(db_js.filter({ 'user.name': { '$nin': ['anna', 'fred'] } }).length === 21, '$nin');
+    assert(db_js.filter({ 'user.email': { '$exists': true } }).length === 10, '$exists true');
+    assert(db_js.filter({ 'user.email': { '$exists': false } }).length === 21, '$exists false');
+    assert(db_js.filter({ 'user.email': { '$regex': '^user1\\d@example\\.com$' } }).length === 3, '$regex');
+    assert(db_js.filter({ 'user.name': { '$regex': '^ANNA$', '$options': 'i' } }).length === 5, '$regex with $options');
+    assert(db_js.filter({ '$or': [{ 'user.name': 'anna' }, { 'score': 1 }] }).length === 6, '$or');
+    assert(db_js.filter({ '$and': [{ 'user.name': 'anna' }, { 'score': { '$gt': 10 } }] }).length === 3, '$and');
+    assert(db_js.filter({ 'score': { '$gt': '3' } }).length === 0, 'comparison of different types never matches');
+    assert(db_js.filter({ 'score': { '$gte': 0 } }, 10).length === 15, 'limit stops reading archived files');
+
+    db_js.delete('user_0');
+    db_js.delete('user_29');
+    assert(db_js.filter({ 'user.name': 'anna' }).length === 4, 'filter() hides deleted values');
+
+    // invalid filters throw proper errors
+    assert(throws(() => db_js.filter('results.push(data)')) !== null, 'strings are not evaluated');
+    assert(throws(() => db_js.filter({ 'score': { '$foo': 1 } })).message.includes('unknown operator'), 'unknown operator throws');
+    assert(throws(() => db_js.filter({ 'score': { '$in': 1 } })).message.includes('must be an array'), 'invalid $in throws');
+    assert(throws(() => db_js.filter({ 'name': { '$regex': '(' } })).message.includes('InvalidQuery'), 'invalid $regex throws');
+    assert(throws(() => db_js.filter({ '$or': {} })).message.includes('non-empty array'), 'invalid $or throws');
+    assert(throws(() => db_js.filter({ 'user.name': { '$options': 'i' } })).message.includes('requires $regex'), '$options without $regex throws');
+    assert(db_js.filter({ 'user.constructor': { '$exists': true } }).length === 0 && db_js.filter({ 'score.toFixed': { '$exists': true } }).length === 0, 'inherited properties are not fields');
+    assert(throws(() => db_js.filter((value) => value.does.not.exist)) instanceof TypeError, 'errors of the predicate are thrown');
+
+    db_js.close();
+
+    await exec('rm -rf ./kappa_db/');
+}
+
+kappa_tests()
@@ -0,0 +1,181 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the append-only index.log and its checkpoints into index.json and rindex.json
+
+function read(file) {
+    return fs.existsSync('./koppa_db/' + file) ? fs.readFileSync('./koppa_db/' + file).toString() : '';
+}
+
+function log_records() {
+    return read('index.log').split('\n').filter((line) => line.length > 0).map((line) => JSON.parse(line));
+}
+
+// stops the instance like a killed process, without flushing
+function crash(db_js) {
+    db_js._release();
+}
+
+// index entries sorted by key and the reverse index
+function state(db_js) {
+    return JSON.stringify([Array.from(db_js.index).sort(([a], [b]) => a < b ? -1 : 1), db_js.rindex]);
+}
+
+async function koppa_tests() {
+    await exec('rm -rf ./koppa_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './koppa_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let error = null;
+    try {
+        new DBjs(Object.assign({}, config, { index_checkpoint_MB: -1 }));
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'invalid index_checkpoint_MB is rejected');
+
+    let db_js = new DBjs(config);
+    for (let i = 0; i < 20; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+    db_js.close();
+    const checkpoint = read('index.json');
+    assert(JSON.parse(checkpoint)['key_19'].i === 19 && read('index.log') === '', 'close() writes a checkpoint');
+
+    // a flush appends only the changed keys
+    db_js = new DBjs(config);
+    db_js.set('key_3', { i: 3, updated: true });
+    db_js.set('new', 1);
+    db_js.delete('key_5');
+    db_js._flush();
+    assert(read('index.json') === checkpoint, 'index.json is not rewritten by a flush');
+    let records = log_records();
+    assert(records.length === 1 && JSON.stringify(Object.keys(records[0].index).sort()) === '["key_3","key_5","new"]', 'index.log contains the changed keys');
+    assert(records[0].index['key_5'] === null && records[0].rindex['5'] === null && records[0].rindex['20'] === 'new' && records[0].size === 21, 'deleted keys and reverse index slots');
+    db_js._flush();
+    assert(log_records().length === 1, 'nothing is appended without changes');
+
+    // the changes survive a crash
+    db_js.set('after_flush', 2);
+    db_js._flush();
+    let expected = state(db_js);
+    crash(db_js);
+    db_js = new DBjs(config);
+    assert(state(db_js) === expected, 'index and reverse index are replayed from index.log');
+    assert(db_js.get('key_3').updated === true && db_js.get('key_5') === undefined && db_js.get('new') === 1, 'values after replaying index.log');
+
+    // a failed batch removes the reverse index slot of the undone insert
+    const update_file = db_js._update_file;
+    db_js._update_file = () => {
+        throw Error('disk full');
+    }
+    try {
+        db_js.batch([{ op: 'set', key: 'undone', value: 1 }, { op: 'set', key: 'key_0', value: 0 }]);
+    } catch (err) { }
+    db_js._update_file = update_file;
+    db_js._flush();
+    expected = state(db_js);
+    crash(db_js);
+    db_js = new DBjs(config);
+    assert(state(db_js) === expected && db_js.get('undone') === undefined, 'undone inserts are replayed');
+
+    // a partially written record is ignored and cut off
+    db_js.set('lost', 3);
+    db_js._flush();
+    const valid_size = fs.statSync('./koppa_db/index.log').size;
+    crash(db_js);
+    fs.appendFileSync('./koppa_db/index.log', '{"index": {"broken');
+    db_js = new DBjs(config);
+    assert(db_js.get('lost') === 3 && fs.statSync('./koppa_db/index.log').size === valid_size, 'broken record is cut off');
+    db_js.set('after_broken', 4);
+    db_js._flush();
+    crash(db_js);
+    db_js = new DBjs(config);
+    assert(db_js.get('after_broken') === 4, 'records after a cut off record are replayed');
+
+    // a read-only reader sees the changes in index.log
+    let reader = new DBjs(Object.assign({}, config, { read_only: true }));
+    db_js.set('for_reader', 5);
+    db_js._flush();
+    reader.refresh();
+    assert(reader.get('for_reader') === 5 && reader.get('key_5') === undefined, 'refresh() replays index.log');
+    reader.close();
+
+    // a crash during a checkpoint replays index.log onto the new checkpoint
+    db_js.set('key_7', { i: 7, updated: true });
+    const write_file = db_js._write_file;
+    db_js._write_file = function (file_path, contents) {
+        if (file_path.endsWith('index.log')) {
+            throw Error('crash');
+        }
+        return write_file.call(this, file_path, contents);
+    }
+    db_js._index_checkpoint = true;
+    try {
+        db_js._flush();
+    } catch (err) { }
+    db_js._write_file = write_file;
+    expected = state(db_js);
+    assert(JSON.parse(read('index.json'))['key_7'].u !== undefined && log_records().length > 1, 'checkpoint is written before index.log is emptied');
+    crash(db_js);
+    db_js = new DBjs(config);
+    assert(state(db_js) === expected && db_js.get('key_7').updated === true, 'state after a crash during the checkpoint');
+
+    // compact() rewrites the index
+    db_js.set('before_compact', 6);
+    db_js._flush();
+    db_js.compact();
+    expected = state(db_js);
+    assert(read('index.log') === '' && JSON.parse(read('index.json'))['key_6'].i === 5, 'compact() writes a checkpoint');
+    crash(db_js);
+    db_js = new DBjs(config);
+    assert(state(db_js) === expected, 'state after compact()');
+    db_js.close();
+
+    // checkpoint once index.log grows larger than index_checkpoint_MB
+    db_js = new DBjs(Object.assign({}, config, { index_checkpoint_MB: 0.001 }));
+    let sizes = [];
+    for (let i = 0; i < 10; i++) {
+        db_js.set('big_' + i, i);
+        db_js._flush();
+        sizes.push(read('index.log').length);
+    }
+    assert(sizes.some((size, n) => n > 0 && size < sizes[n - 1]) && Math.max(...sizes) <= 1024 + 512, 'index.log is checkpointed: ' + JSON.stringify(sizes));
+    expected = state(db_js);
+    crash(db_js);
+    db_js = new DBjs(config);
+    assert(state(db_js) === expected, 'state after checkpoints');
+    db_js.close();
+
+    // index_checkpoint_MB: 0 writes index.json and rindex.json on every flush
+    db_js = new DBjs(Object.assign({}, config, { index_checkpoint_MB: 0 }));
+    db_js.set('every_flush', 7);
+    db_js._flush();
+    assert(read('index.log') === '' && JSON.parse(read('index.json'))['every_flush'] !== undefined, 'no index.log with index_checkpoint_MB: 0');
+    db_js.close();
+
+    // async API
+    let async_db = await DBjs.open(config);
+    await async_db.set('async', 8);
+    await async_db.db._flush_async();
+    assert(log_records().length === 1, 'async flush appends to index.log');
+    await async_db.close();
+    assert(read('index.log') === '' && JSON.parse(read('index.json'))['async'] !== undefined, 'async close() writes a checkpoint');
+
+    await exec('rm -rf ./koppa_db/');
+}
+
+koppa_tests()
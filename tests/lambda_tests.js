@@ -0,0 +1,91 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const fs = require('fs');
+const exec = util.promisify(require('child_process').exec);
+const {assert} = require('./test_utils');
+
+// test secondary indexes on value fields
+
+async function lambda_tests() {
+    await exec('rm -rf ./lambda_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './lambda_db/',
+        flush_interval: 4,
+        debug: false,
+        indexes: ['user.email'],
+    }
+
+    let db_js = new DBjs(config);
+
+    for (let i = 0; i < 20; i++) {
+        db_js.set('user_' + i, {
+            user: { email: `user${i % 10}@example.com`, age: 20 + i },
+            padding: 'x'.repeat(50),
+        });
+        // archive the first values
+        if (i === 9) {
+            db_js._persist();
+        }
+    }
+
+    assert(db_js._getFiles(false).length === 1, 'some values are archived');
+
+    let found = db_js.find_by('user.email', 'user3@example.com');
+    assert(found.length === 2, 'find_by() finds archived and cached values');
+    assert(found[0].user.age === 33 && found[1].user.age === 23, 'find_by() returns most recently inserted value first');
+    assert(db_js.find_by('user.email', 'nobody@example.com').length === 0, 'find_by() of unknown value');
+
+    // create an index on existing data
+    assert(db_js.create_index('user.age') === true, 'create_index() builds an index from existing data');
+    assert(db_js.create_index('user.age') === false, 'create_index() of existing index returns false');
+    let range = db_js.find_by('user.age', { '$gte': 25, '$lt': 30 });
+    assert(range.length === 5 && range[0].user.age === 29, 'find_by() range query');
+
+    // the archived file is parsed once for all matches
+    let reads = db_js._file_cache_read_counter;
+    assert(db_js.find_by('user.age', { '$lt': 30 }).length === 10 && db_js._file_cache_read_counter === reads + 1, 'find_by() reads each archived file once');
+
+    // updates in the memory cache and in archived files keep the index up to date
+    db_js.set('user_15', { user: { email: 'changed@example.com', age: 99 } });
+    db_js.set('user_2', { user: { email: 'changed@example.com', age: 98 } });
+    assert(db_js.find_by('user.email', 'changed@example.com').length === 2, 'updated values are indexed');
+    assert(db_js.find_by('user.email', 'user5@example.com').length === 1, 'old cached value is removed from the index');
+    assert(db_js.find_by('user.email', 'user2@example.com').length === 1, 'old archived value is removed from the index');
+    assert(db_js.find_by('user.age', { '$gt': 90 }).length === 2, 'updated values are in the range index');
+
+    db_js.delete('user_12');
+    assert(db_js.find_by('user.email', 'user2@example.com').length === 0, 'deleted values are removed from the index');
+
+    let error = null;
+    try {
+        db_js.find_by('user.name', 'bob');
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'find_by() without index throws');
+
+    db_js.close();
+    assert(fs.existsSync(config.database_path + 'sindex.json'), 'secondary indexes are persisted');
+
+    // secondary indexes are loaded from sindex.json
+    let new_db_js = new DBjs(config);
+    assert(new_db_js.find_by('user.email', 'changed@example.com').length === 2, 'secondary index loaded after restart');
+    assert(new_db_js.find_by('user.age', { '$gte': 98 }).length === 2, 'index created at runtime is loaded after restart');
+    assert(JSON.parse(fs.readFileSync(config.database_path + 'sindex.json').toString())['user.email']['"changed@example.com"'].length === 2, 'sindex.json stores arrays of keys');
+    new_db_js.close();
+
+    // a missing sindex.json is rebuilt from the data files
+    fs.unlinkSync(config.database_path + 'sindex.json');
+    new_db_js = new DBjs(config);
+    assert(new_db_js.find_by('user.email', 'user7@example.com').length === 2, 'missing secondary index is rebuilt');
+    assert(new_db_js.find_by('user.age', 99).length === 1, 'missing runtime index is rebuilt from meta.json');
+    assert(new_db_js.drop_index('user.age') === true, 'drop_index() removes the index');
+    new_db_js.close();
+
+    await exec('rm -rf ./lambda_db/');
+}
+
+lambda_tests()
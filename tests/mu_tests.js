@@ -0,0 +1,121 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test iterate() and stream() across the memory cache and archived files
+
+async function collect(iterator) {
+    let items = [];
+    for await (let item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+async function mu_tests() {
+    await exec('rm -rf ./mu_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './mu_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+    let timestamps = [];
+
+    // three archived files with 10 values each and 5 values in the memory cache
+    for (let i = 0; i < 35; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        timestamps.push(db_js._get_key_index_entry('key_' + i).c);
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+    db_js.delete('key_12');
+
+    assert(db_js._getFiles(false).length === 3 && db_js.cache_size() === 5, 'values are in archived files and memory cache');
+
+    let all = await collect(db_js.iterate());
+    let getn_all = db_js.getn([0, 1000]);
+    assert(all.length === 34, 'iterate() returns all live values: ' + all.length);
+    assert(JSON.stringify(all.map((item) => item.value)) === JSON.stringify(getn_all), 'iterate() returns the same order as getn()');
+    assert(all[0].key === 'key_34' && all[0].index === 34 && all[0].ts === timestamps[34], 'iterate() returns key, value, index and ts');
+
+    let reversed = await collect(db_js.iterate({ reverse: true }));
+    assert(reversed.length === 34 && reversed[0].key === 'key_0' && reversed[33].key === 'key_34', 'iterate() in reverse order');
+
+    let range = await collect(db_js.iterate({ index_range: [3, 8] }));
+    assert(JSON.stringify(range.map((item) => item.value)) === JSON.stringify(db_js.getn([3, 8])), 'iterate() index_range equals getn()');
+
+    let reversed_range = await collect(db_js.iterate({ index_range: [3, 8], reverse: true }));
+    assert(JSON.stringify(reversed_range.map((item) => item.key)) === JSON.stringify(range.map((item) => item.key).reverse()), 'iterate() index_range in reverse order');
+
+    // reading stops as soon as the selection is complete
+    db_js._file_cache_read_counter = 0;
+    let first = await collect(db_js.iterate({ index_range: [0, 12] }));
+    assert(first.length === 12 && db_js._file_cache_read_counter === 1, 'iterate() reads only the files needed: ' + db_js._file_cache_read_counter);
+
+    db_js._file_cache_read_counter = 0;
+    let oldest = await collect(db_js.iterate({ index_range: [30, 34], reverse: true }));
+    assert(oldest.length === 4 && oldest[0].key === 'key_0' && db_js._file_cache_read_counter === 1, 'iterate() in reverse order reads only the oldest file');
+
+    db_js._file_cache_read_counter = 0;
+    let by_time = await collect(db_js.iterate({ time_range: [timestamps[25], timestamps[34]] }));
+    let expected = Object.keys(timestamps).filter((i) => timestamps[i] >= timestamps[25]).length;
+    assert(by_time.length === expected && by_time.every((item) => item.ts >= timestamps[25]), 'iterate() time_range: ' + by_time.length);
+    assert(db_js._file_cache_read_counter <= 2, 'iterate() time_range stops at older values');
+
+    // object mode stream
+    let streamed = [];
+    await new Promise((resolve, reject) => {
+        db_js.stream({ index_range: [0, 20] })
+            .on('data', (item) => streamed.push(item))
+            .on('end', resolve)
+            .on('error', reject);
+    });
+    assert(streamed.length === 20 && streamed[0].key === 'key_34', 'stream() emits the selected values');
+
+    let error = null;
+    try {
+        await collect(db_js.iterate({ index_range: 5 }));
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'iterate() with invalid range throws');
+
+    // archived files are not removed while an iterator reads them
+    let iterator = db_js.iterate({ reverse: true });
+    let next = await iterator.next();
+    const archived = db_js._getFiles(false);
+    error = null;
+    try {
+        db_js.compact();
+    } catch (err) {
+        error = err;
+    }
+    assert(next.value.key === 'key_0' && error !== null && error.message.includes('Busy'), 'compact() throws while iterating');
+    db_js.config.retention_max_age_seconds = 0.001;
+    db_js._persist();
+    let rest = await collect(iterator);
+    assert(rest.length === 33 && rest[rest.length - 1].key === 'key_34' && archived.every((file) => db_js._getFiles(false).includes(file)), 'retention is deferred while iterating');
+    await sleep(5);
+    db_js._persist();
+    assert(db_js._getFiles(false).length === 0 && db_js._open_iterators === 0, 'retention is applied after the iterator finished');
+    db_js.config.retention_max_age_seconds = 0;
+
+    iterator = db_js.iterate();
+    await iterator.next();
+    await iterator.return();
+    assert(db_js.compact().files_after === 0, 'compact() after the iterator was closed');
+
+    db_js.close();
+
+    await exec('rm -rf ./mu_db/');
+}
+
+mu_tests()
@@ -0,0 +1,80 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the file cache of parsed archived files (file_cache_MB)
+
+async function nu_tests() {
+    await exec('rm -rf ./nu_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './nu_db/',
+        flush_interval: 4,
+        debug: false,
+        file_cache_MB: 0.003,
+    }
+
+    let db_js = new DBjs(config);
+
+    // three archived files with 10 values each of about 1.1KB
+    for (let i = 0; i < 30; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+    assert(db_js._getFiles(false).length === 3 && db_js.cache_size() === 0, 'all values are archived');
+
+    // reading several keys from the same file parses it only once
+    for (let i = 0; i < 10; i++) {
+        assert(db_js.get('key_' + i).i === i, 'get() from archived file returns value ' + i);
+    }
+    assert(db_js._file_lru_miss_counter === 1 && db_js._file_lru_hit_counter === 9, 'file is read once and cached');
+    assert(db_js._file_cache_read_counter === 1, 'file cache read counter counts only misses');
+
+    // the cache is bounded, the least recently used file is evicted
+    db_js.get('key_10');
+    db_js.get('key_20');
+    assert(db_js._file_lru.entries.size === 2, 'file cache keeps two files: ' + db_js._file_lru.entries.size);
+    assert(db_js._file_lru.bytes <= config.file_cache_MB * 1024 * 1024, 'file cache stays within file_cache_MB');
+    db_js.get('key_0');
+    assert(db_js._file_lru_miss_counter === 4, 'evicted file is read again');
+
+    // updates write through the file cache
+    db_js.set('key_5', { i: 5, updated: true });
+    assert(db_js.get('key_5').updated === true, 'get() returns updated value from file cache');
+    db_js._file_lru.clear();
+    assert(db_js.get('key_5').updated === true, 'updated value was written to disk');
+
+    let async_value = await db_js._get_async('key_21');
+    assert(async_value.i === 21, 'async get() reads through the file cache');
+    assert((await db_js._get_async('key_22')).i === 22 && db_js._file_lru_hit_counter >= 11, 'async get() hits file cache');
+
+    // values returned by get() are copies of the cached values
+    db_js.get('key_6').i = 'modified';
+    (await db_js._get_async('key_7')).i = 'modified';
+    assert(db_js.get('key_6').i === 6 && (await db_js._get_async('key_7')).i === 7, 'modifying a returned value does not change the file cache');
+
+    // compaction invalidates all cached files
+    db_js.delete('key_25');
+    db_js.compact();
+    assert(db_js._file_lru.entries.size === 0, 'compact() clears the file cache');
+    assert(db_js.get('key_24').i === 24 && db_js.get('key_25') === undefined && db_js.get('key_5').updated === true, 'get() after compaction');
+
+    db_js.close();
+
+    // disabled by default
+    let default_db = new DBjs({ database_path: './nu_db/', debug: false });
+    default_db.get('key_1');
+    default_db.get('key_2');
+    assert(default_db._file_lru.entries.size === 0 && default_db._file_cache_read_counter === 2, 'file cache is disabled by default');
+    default_db.close();
+
+    await exec('rm -rf ./nu_db/');
+}
+
+nu_tests()
@@ -0,0 +1,148 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const { Readable, Writable } = require('stream');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test export() and import() in the ndjson, csv and json formats
+
+function collector() {
+    let stream = new Writable({
+        write(chunk, encoding, callback) {
+            stream.contents += chunk.toString();
+            callback();
+        }
+    });
+    stream.contents = '';
+    return stream;
+}
+
+// splits the text into small chunks, also inside of multi byte characters
+function chunked(text) {
+    const buffer = Buffer.from(text);
+    let chunks = [];
+    for (let n = 0; n < buffer.length; n += 7) {
+        chunks.push(buffer.slice(n, n + 7));
+    }
+    return Readable.from(chunks);
+}
+
+async function throws(fn) {
+    try {
+        await fn();
+    } catch (err) {
+        return err.message;
+    }
+    return null;
+}
+
+function same_database(a, b) {
+    // deleted keys are not exported, so the insertion order is compared instead of the indices
+    const entries = (db_js) => Array.from(db_js.index).sort(([, x], [, y]) => x.i - y.i).map(([key, entry]) => [key, entry.c]);
+    return JSON.stringify(entries(a)) === JSON.stringify(entries(b)) &&
+        JSON.stringify(a.getn([0, 1000])) === JSON.stringify(b.getn([0, 1000]));
+}
+
+async function omega_tests() {
+    await exec('rm -rf ./omega_db/ ./omega_import_db/ ./omega_export.ndjson');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './omega_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+    let import_config = Object.assign({}, config, { database_path: './omega_import_db/' });
+
+    let db_js = new DBjs(config);
+    for (let i = 0; i < 30; i++) {
+        db_js.set('key_' + i, { i: i, text: 'ünïcödé ' + 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+        }
+        await sleep(2);
+    }
+    db_js.set('comma, "quoted"\nkey', { text: 'line\nbreak, "quotes"' });
+    db_js.set('key_3', { i: 3, updated: true });
+    db_js.delete('key_4');
+    assert(db_js._getFiles(false).length === 3, 'values are archived');
+
+    // ndjson to a file
+    let file = fs.createWriteStream('./omega_export.ndjson');
+    assert(await db_js.export(file) === 30, 'export() returns the number of exported values');
+    await new Promise((resolve) => file.end(resolve));
+    let lines = fs.readFileSync('./omega_export.ndjson').toString().trim().split('\n');
+    let first = JSON.parse(lines[0]);
+    assert(lines.length === 30 && first.key === 'key_0' && first.value.i === 0 && first.ts === db_js.index.get('key_0').c, 'ndjson export, oldest value first');
+    assert(JSON.parse(lines[3]).value.updated === true, 'export contains the current value');
+
+    let imported = new DBjs(import_config);
+    assert(await imported.import(fs.createReadStream('./omega_export.ndjson')) === 30, 'import() returns the number of imported records');
+    assert(same_database(db_js, imported), 'ndjson import preserves values, creation timestamps and order');
+    const time_range = [db_js.index.get('key_10').c, db_js.index.get('key_20').c];
+    assert(JSON.stringify(imported.getn(null, time_range)) === JSON.stringify(db_js.getn(null, time_range)), 'time ranges work on imported values');
+    imported.close();
+    await exec('rm -rf ./omega_import_db/');
+
+    // csv
+    let csv = collector();
+    assert(await db_js.export(csv, { format: 'csv' }) === 30, 'csv export');
+    assert(csv.contents.startsWith('key,value,ts\nkey_0,"{""i"":0,'), 'csv header and quoted values');
+    imported = new DBjs(import_config);
+    assert(await imported.import(chunked(csv.contents), { format: 'csv' }) === 30, 'csv import');
+    assert(same_database(db_js, imported), 'csv import preserves values, creation timestamps and order');
+    assert(imported.get('comma, "quoted"\nkey').text === 'line\nbreak, "quotes"', 'csv quoting of keys and values');
+    imported.close();
+    await exec('rm -rf ./omega_import_db/');
+
+    // json
+    let json = collector();
+    assert(await db_js.export(json, { format: 'json' }) === 30, 'json export');
+    assert(JSON.parse(json.contents).length === 30, 'json export is a JSON array');
+    imported = new DBjs(import_config);
+    assert(await imported.import(chunked(json.contents), { format: 'json' }) === 30, 'json import');
+    assert(same_database(db_js, imported), 'json import preserves values, creation timestamps and order');
+
+    // importing into a database with values updates existing keys
+    let update = Readable.from([JSON.stringify({ key: 'key_0', value: 'updated', ts: 1 }) + '\n']);
+    assert(await imported.import(update) === 1 && imported.get('key_0') === 'updated' && imported.index.get('key_0').c === db_js.index.get('key_0').c, 'import updates existing keys');
+    let older = Readable.from([JSON.stringify({ key: 'new', value: 1, ts: 1 }) + '\n']);
+    assert((await throws(() => imported.import(older))).includes('InvalidImport'), 'inserts older than the newest key are rejected');
+    let invalid = Readable.from(['{"key": "a", "value": 1, "ts": ' + Date.now() + '}\n', '{"key": 5, "value": 1, "ts": 1}\n']);
+    let size = imported.index_size();
+    assert((await throws(() => imported.import(invalid))).includes('InvalidImport') && imported.get('a') === undefined && imported.index_size() === size, 'invalid record throws, nothing is imported');
+    let twice = Readable.from(['{"key": "b", "value": 1, "ts": ' + Date.now() + '}\n', '{"key": "b", "value": 2, "ts": 1}\n']);
+    assert(await imported.import(twice) === 2 && imported.get('b') === 2 && imported.index_size() === size + 1, 'a key inserted by the import is updated by a later record');
+    assert((await throws(() => imported.import(Readable.from(['{broken\n'])))).includes('InvalidImport'), 'invalid ndjson throws');
+    assert((await throws(() => imported.import(Readable.from(['key,value\n']), { format: 'csv' }))).includes('InvalidImport'), 'csv without ts column throws');
+    assert((await throws(() => imported.import(Readable.from([]), { format: 'xml' }))).includes('InvalidFormat'), 'unknown import format throws');
+    assert((await throws(() => db_js.export(collector(), { format: 'xml' }))).includes('InvalidFormat'), 'unknown export format throws');
+    imported.close();
+
+    // ranges
+    let ranged = collector();
+    assert(await db_js.export(ranged, { index_range: [0, 5] }) === 5, 'export with index_range');
+    assert(JSON.parse(ranged.contents.split('\n')[4]).key === 'comma, "quoted"\nkey', 'index_range selects the most recent values');
+    ranged = collector();
+    assert(await db_js.export(ranged, { time_range: time_range }) === 11, 'export with time_range');
+    db_js.close();
+
+    // read-only mode exports, but does not import
+    let reader = new DBjs(Object.assign({}, config, { read_only: true }));
+    assert(await reader.export(collector()) === 30, 'export() in read-only mode');
+    assert((await throws(() => reader.import(Readable.from([])))).includes('ReadOnly'), 'import() throws in read-only mode');
+    reader.close();
+
+    // async API
+    await exec('rm -rf ./omega_import_db/');
+    let async_db = await DBjs.open(import_config);
+    assert(await async_db.import(fs.createReadStream('./omega_export.ndjson')) === 30, 'async import()');
+    assert(await async_db.export(collector(), { format: 'csv' }) === 30, 'async export()');
+    await async_db.close();
+
+    await exec('rm -rf ./omega_db/ ./omega_import_db/ ./omega_export.ndjson');
+}
+
+omega_tests()
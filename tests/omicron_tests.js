@@ -0,0 +1,112 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const zlib = require('zlib');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test gzip/brotli compression of archived files
+
+async function fill(db_js, from, to) {
+    for (let i = from; i < to; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+}
+
+async function collect(iterator) {
+    let items = [];
+    for await (let item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+async function omicron_tests() {
+    await exec('rm -rf ./omicron_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './omicron_db/',
+        flush_interval: 4,
+        debug: false,
+        compression: 'gzip',
+    }
+
+    let error = null;
+    try {
+        new DBjs(Object.assign({}, config, { archive_format: 'ndjson' }));
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'compression cannot be combined with ndjson segments');
+
+    let db_js = new DBjs(config);
+    await fill(db_js, 0, 30);
+
+    let on_disk = fs.readdirSync('./omicron_db/');
+    let compressed = on_disk.filter((file) => file.endsWith('.json.gz'));
+    assert(compressed.length === 3 && on_disk.filter((file) => file.startsWith('dbjs_') && file.endsWith('.json')).length === 0, 'archived files are gzip compressed');
+    let values = JSON.parse(zlib.gunzipSync(fs.readFileSync('./omicron_db/' + compressed[0])).toString());
+    assert(values.length === 10, 'compressed file contains the archived values');
+    assert(fs.statSync('./omicron_db/' + compressed[0]).size < JSON.stringify(values).length / 5, 'compressed file is smaller');
+    assert(db_js._getFiles(false).every((file) => file.endsWith('.json')), '_getFiles() lists compressed files with their archived name');
+
+    // transparent reads
+    assert(db_js.get('key_3').i === 3 && db_js.get('key_25').i === 25, 'get() from compressed files');
+    assert((await db_js._get_async('key_13')).i === 13, 'async get() from compressed files');
+    assert(db_js.getn([0, 100]).length === 30, 'getn() across compressed files');
+    assert(db_js.filter({ 'i': { '$gte': 25 } }).length === 5, 'filter() across compressed files');
+    assert((await collect(db_js.iterate())).length === 30, 'iterate() across compressed files');
+
+    // updates keep the compression
+    db_js.set('key_4', { i: 4, updated: true });
+    assert(db_js.get('key_4').updated === true, 'update in compressed file');
+    assert(fs.readdirSync('./omicron_db/').filter((file) => file.endsWith('.json.gz')).length === 3, 'updated file stays compressed');
+    db_js.close();
+
+    // mixed compression
+    db_js = new DBjs(Object.assign({}, config, { compression: 'brotli' }));
+    await fill(db_js, 30, 40);
+    on_disk = fs.readdirSync('./omicron_db/');
+    assert(on_disk.filter((file) => file.endsWith('.json.br')).length === 1, 'new archived files are brotli compressed');
+    assert(db_js.get('key_4').updated === true && db_js.get('key_35').i === 35, 'get() from mixed compressed files');
+    assert(db_js.getn([0, 100]).length === 40, 'getn() from mixed compressed files');
+    db_js.close();
+
+    // migration to uncompressed files
+    db_js = new DBjs(Object.assign({}, config, { compression: 'none' }));
+    let before = JSON.stringify(db_js.getn([0, 100]));
+    assert(db_js.migrate_archives() === 4, 'migrate_archives() decompresses all files');
+    on_disk = fs.readdirSync('./omicron_db/');
+    assert(on_disk.filter((file) => file.endsWith('.gz') || file.endsWith('.br')).length === 0, 'no compressed files left');
+    assert(JSON.stringify(db_js.getn([0, 100])) === before, 'getn() returns the same values after migration');
+    db_js.close();
+
+    // compaction writes compressed files
+    db_js = new DBjs(config);
+    db_js.delete('key_15');
+    db_js.compact();
+    on_disk = fs.readdirSync('./omicron_db/');
+    assert(on_disk.filter((file) => file.endsWith('.json.gz')).length >= 1, 'compact() writes merged files compressed');
+    assert(db_js.get('key_15') === undefined && db_js.get('key_16').i === 16 && db_js.getn([0, 100]).length === 39, 'values after compaction');
+    db_js.close();
+
+    // interrupted archiving: the compressed file was written, the memory cache file not removed yet
+    db_js = new DBjs(config);
+    let newest = db_js._getFiles(false)[0];
+    db_js.close();
+    fs.writeFileSync('./omicron_db/' + newest.slice('dbjs_'.length), '[]');
+    db_js = new DBjs(config);
+    assert(!fs.existsSync('./omicron_db/' + newest.slice('dbjs_'.length)), 'archived memory cache file is removed');
+    assert(db_js.getn([0, 100]).length === 39, 'database is consistent after recovery');
+    db_js.close();
+
+    await exec('rm -rf ./omicron_db/');
+}
+
+omicron_tests()
@@ -0,0 +1,168 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const exec_file = util.promisify(require('child_process').execFile);
+const {assert, sleep} = require('./test_utils');
+
+// test atomic multi key batch writes
+
+const config = {
+    persist_after_MB: 0.001,
+    persist_after_seconds: 7,
+    database_path: './phi_db/',
+    flush_interval: 60,
+    debug: false,
+    indexes: ['group'],
+}
+
+const journal_config = Object.assign({}, config, { journal: true, journal_fsync: 'always' });
+
+const child_script = `
+const DBjs = require('../dbjs').DBjs;
+let db_js = new DBjs(${JSON.stringify(journal_config)});
+db_js.batch([
+    { op: 'set', key: 'journal_1', value: 1 },
+    { op: 'set', key: 'journal_2', value: 2 },
+    { op: 'delete', key: 'key_0' },
+]);
+process.kill(process.pid, 'SIGKILL');
+`;
+
+async function phi_tests() {
+    await exec('rm -rf ./phi_db/');
+
+    let db_js = new DBjs(config);
+    for (let i = 0; i < 10; i++) {
+        db_js.set('key_' + i, { i: i, group: 'a', padding: 'x'.repeat(100) });
+    }
+    db_js._persist();
+    await sleep(5);
+    db_js.set('cached', { group: 'a' });
+
+    // an invalid entry rejects the whole batch
+    assert(db_js.batch([{ op: 'set', key: 'new_1', value: 1 }, { op: 'set', key: 42, value: 2 }]) === false, 'invalid key rejects the batch');
+    assert(db_js.batch([{ op: 'set', key: 'new_1', value: 1 }, { op: 'set', key: 'new_2', value: undefined }]) === false, 'invalid value rejects the batch');
+    assert(db_js.batch([{ op: 'set', key: 'new_1', value: 1 }, { op: 'update', key: 'new_2', value: 2 }]) === false, 'invalid op rejects the batch');
+    assert(db_js.batch([{ op: 'set', key: 'new_1', value: 1, ttl: -1 }]) === false, 'invalid ttl rejects the batch');
+    assert(db_js.batch('new_1') === false, 'batch() expects an array');
+    assert(db_js.get('new_1') === undefined && db_js.index_size() === 11, 'rejected batch applies nothing');
+
+    // inserted keys get consecutive insertion indices
+    assert(db_js.batch([
+        { op: 'set', key: 'new_1', value: { group: 'b' } },
+        { op: 'set', key: 'new_2', value: { group: 'b' } },
+        { op: 'set', key: 'new_3', value: { group: 'b' }, ttl: 60 },
+    ]) === true, 'batch of inserts');
+    let slots = ['new_1', 'new_2', 'new_3'].map((key) => db_js._get_key_index_entry(key).i);
+    assert(slots[1] === slots[0] + 1 && slots[2] === slots[1] + 1, 'consecutive insertion indices');
+    assert(db_js._get_key_index_entry('new_3').e > Date.now(), 'ttl in a batch');
+
+    // mixed updates and deletes in archived files and the memory cache
+    assert(db_js.batch([
+        { op: 'set', key: 'key_2', value: { i: 2, group: 'b' } },
+        { op: 'delete', key: 'key_3' },
+        { op: 'delete', key: 'cached' },
+        { op: 'delete', key: 'missing' },
+        { op: 'set', key: 'new_4', value: { group: 'b' } },
+        { op: 'delete', key: 'new_4' },
+    ]) === true, 'mixed batch');
+    assert(db_js.get('key_2').group === 'b' && db_js.get('key_3') === undefined && db_js.get('cached') === undefined, 'mixed batch is applied');
+    assert(db_js.get('new_4') === undefined, 'key inserted and deleted in the same batch');
+    assert(db_js.find_by('group', 'b').length === 4 && db_js.find_by('group', 'a').length === 8, 'secondary index after batch');
+    assert(db_js.batch([]) === true, 'empty batch');
+
+    // a failing entry undoes the entries applied before
+    const sorted = (index) => JSON.stringify(Array.from(index.keys()).sort().map((key) => [key, index.get(key)]));
+    let index = sorted(db_js.index);
+    let rindex = JSON.stringify(db_js.rindex);
+    let cache = JSON.stringify(db_js.cache);
+    const update_file = db_js._update_file;
+    let calls = 0;
+    db_js._update_file = function (key, value) {
+        if (++calls === 2) {
+            throw Error('disk full');
+        }
+        return update_file.call(this, key, value);
+    }
+    let error = null;
+    try {
+        db_js.batch([
+            { op: 'set', key: 'new_5', value: { group: 'c' } },
+            { op: 'set', key: 'key_4', value: { i: 4, group: 'c' } },
+            { op: 'delete', key: 'new_1' },
+            { op: 'set', key: 'key_5', value: { i: 5, group: 'c' } },
+        ]);
+    } catch (err) {
+        error = err;
+    }
+    db_js._update_file = update_file;
+    assert(error !== null && error.message === 'disk full', 'batch() rethrows the error');
+    assert(sorted(db_js.index) === index && JSON.stringify(db_js.rindex) === rindex && JSON.stringify(db_js.cache) === cache, 'failed batch is undone');
+    assert(db_js.get('key_4').group === 'a' && db_js.get('new_1').group === 'b' && db_js.get('new_5') === undefined, 'values after failed batch');
+    assert(db_js.find_by('group', 'c').length === 0 && db_js.find_by('group', 'b').length === 4, 'secondary index after failed batch');
+    db_js._consistency_checks();
+    db_js.close();
+
+    db_js = new DBjs(config);
+    assert(db_js.get('key_2').group === 'b' && db_js.get('new_2').group === 'b' && db_js.index_size() === 12, 'batch without journal survives a restart');
+
+    // without journal, a batch interrupted by a crash is replayed from batch.log
+    assert(!fs.existsSync('./phi_db/batch.log'), 'batch.log is removed after the flush');
+    const append_file = db_js._append_file;
+    db_js._append_file = () => {
+        throw Error('crash');
+    }
+    try {
+        db_js.batch([
+            { op: 'set', key: 'crash_1', value: 1 },
+            { op: 'set', key: 'key_4', value: { i: 4, group: 'd' } },
+            { op: 'delete', key: 'new_2' },
+        ]);
+    } catch (err) { }
+    db_js._append_file = append_file;
+    db_js._release();
+    assert(fs.existsSync('./phi_db/batch.log'), 'batch.log is kept until the flush');
+    db_js = new DBjs(config);
+    assert(db_js.get('crash_1') === 1 && db_js.get('key_4').group === 'd' && db_js.get('new_2') === undefined && db_js.index_size() === 12, 'interrupted batch is replayed');
+    assert(!fs.existsSync('./phi_db/batch.log') && db_js.find_by('group', 'd').length === 1, 'batch.log is removed after the replay');
+    db_js.close();
+
+    // the journal replays a batch completely
+    try {
+        await exec_file('node', ['-e', child_script]);
+    } catch (err) {
+        assert(err.signal === 'SIGKILL', 'child process was killed with SIGKILL');
+    }
+    let journal = fs.readFileSync('./phi_db/journal.log').toString().trim().split('\n');
+    assert(journal.length === 1, 'batch is a single journal record');
+    db_js = new DBjs(journal_config);
+    assert(db_js.get('journal_1') === 1 && db_js.get('journal_2') === 2 && db_js.get('key_0') === undefined, 'batch is replayed');
+    db_js.close();
+
+    // a partially written batch is not replayed
+    fs.writeFileSync('./phi_db/journal.log', journal[0].replace('journal_1', 'partial_1').slice(0, -10));
+    db_js = new DBjs(journal_config);
+    assert(db_js.get('partial_1') === undefined && db_js.index_size() === 13, 'truncated batch is ignored');
+    db_js.close();
+
+    // read-only mode
+    db_js = new DBjs(Object.assign({}, config, { read_only: true }));
+    error = null;
+    try {
+        db_js.batch([{ op: 'set', key: 'key', value: 1 }]);
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null && error.message.includes('ReadOnly'), 'batch() throws in read-only mode');
+    db_js.close();
+
+    // async API
+    let async_db = await DBjs.open(config);
+    assert(await async_db.batch([{ op: 'set', key: 'async', value: 1 }]) === true && (await async_db.get('async')) === 1, 'async batch()');
+    await async_db.close();
+
+    await exec('rm -rf ./phi_db/');
+}
+
+phi_tests()
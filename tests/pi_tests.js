@@ -0,0 +1,104 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test per key TTL and the expiry sweep
+
+async function collect(iterator) {
+    let items = [];
+    for await (let item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+async function pi_tests() {
+    await exec('rm -rf ./pi_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './pi_db/',
+        flush_interval: 4,
+        debug: false,
+        indexes: ['group'],
+    }
+
+    let db_js = new DBjs(config);
+
+    assert(db_js.set('invalid', 1, { ttl: -5 }) === false, 'negative ttl is rejected');
+    assert(db_js.set('invalid', 1, { ttl: 1, expires_at: Date.now() }) === false, 'ttl and expires_at cannot be combined');
+    assert(db_js.set('invalid', 1, { expires_at: 'tomorrow' }) === false, 'invalid expires_at is rejected');
+    assert(db_js.get('invalid') === undefined, 'invalid set() does not store the value');
+
+    // 10 archived keys, every second key expires
+    for (let i = 0; i < 10; i++) {
+        let options = i % 2 === 0 ? { ttl: 0.5 } : {};
+        db_js.set('archived_' + i, { i: i, group: 'a', padding: 'x'.repeat(100) }, options);
+    }
+    db_js._persist();
+    await sleep(5);
+    assert(db_js._getFiles(false).length === 1, 'keys are archived');
+
+    // 4 keys in the memory cache
+    db_js.set('session_1', { group: 'b' }, { ttl: 0.5 });
+    db_js.set('session_2', { group: 'b' }, { expires_at: Date.now() + 500 });
+    db_js.set('session_3', { group: 'b' }, { ttl: 60 });
+    db_js.set('session_4', { group: 'b' });
+    assert(db_js._get_key_index_entry('session_3').e > Date.now() && db_js._get_key_index_entry('session_4').e === undefined, 'expiry is stored in the index');
+
+    // an update without ttl removes the expiry
+    db_js.set('session_3', { group: 'b', updated: true });
+    assert(db_js._get_key_index_entry('session_3').e === undefined, 'set() without ttl removes the expiry');
+
+    assert(db_js.get('session_1').group === 'b' && db_js.get('archived_0').i === 0, 'keys are readable before expiry');
+    assert(db_js.getn([0, 100]).length === 14, 'getn() before expiry');
+
+    await sleep(600);
+
+    assert(db_js.get('session_1') === undefined && db_js.get('session_2') === undefined, 'expired keys in memory cache return undefined');
+    assert(db_js.get('archived_0') === undefined && db_js.get('archived_1').i === 1, 'expired keys in archived files return undefined');
+    assert((await db_js._get_async('archived_2')) === undefined, 'async get() hides expired keys');
+    assert(db_js.getn([0, 100]).length === 7, 'getn() skips expired keys: ' + db_js.getn([0, 100]).length);
+    assert(db_js.filter({ group: 'a' }).length === 5, 'filter() skips expired keys');
+    assert(db_js.find_by('group', 'b').length === 2, 'find_by() skips expired keys');
+    let walked = 0;
+    db_js.walk([(data) => walked += data.length]);
+    assert(walked === 7, 'walk() skips expired keys');
+    assert((await collect(db_js.iterate())).length === 7, 'iterate() skips expired keys');
+
+    // the sweep deletes the expired keys
+    assert(db_js._sweep_expired() === 7, 'sweep deletes all expired keys');
+    assert(db_js.index_size() === 7 && db_js._tombstone_count() === 7, 'expired keys leave tombstones');
+    let archived = JSON.parse(fs.readFileSync('./pi_db/' + db_js._getFiles(false)[0]).toString());
+    assert(archived.filter((value) => value === null).length === 5, 'expired values are purged from the archived file');
+    assert(db_js.cache.filter((value) => value === null).length === 2, 'expired values are purged from the memory cache');
+    assert(db_js._sweep_expired() === 0, 'nothing left to sweep');
+    db_js._flush();
+    db_js._consistency_checks();
+    db_js.close();
+
+    // expiry survives restarts
+    db_js = new DBjs(config);
+    db_js.set('short', 1, { ttl: 0.3 });
+    db_js.close();
+    db_js = new DBjs(config);
+    assert(db_js.get('short') === 1, 'ttl key is readable after restart');
+    await sleep(400);
+    assert(db_js.get('short') === undefined, 'ttl key expires after restart');
+    assert(db_js.getn([0, 100]).length === 7, 'database after restart');
+    db_js.close();
+
+    // the flush interval sweeps expired keys
+    db_js = new DBjs(config);
+    db_js.set('timer', 1, { ttl: 1 });
+    await sleep(4500);
+    assert(db_js._get_key_index_entry('timer') === undefined, 'flush interval deletes expired keys');
+    db_js.close();
+
+    await exec('rm -rf ./pi_db/');
+}
+
+pi_tests()
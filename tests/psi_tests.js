@@ -0,0 +1,142 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the change feed with sequence numbers
+
+function seqs(changes) {
+    return JSON.stringify(changes.map((change) => change.seq));
+}
+
+async function psi_tests() {
+    await exec('rm -rf ./psi_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './psi_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+    assert(db_js.changes().length === 0 && db_js.meta.seq === 0, 'empty change feed');
+
+    const before = Date.now();
+    for (let i = 0; i < 5; i++) {
+        db_js.set('key_' + i, { i: i });
+    }
+    let changes = db_js.changes();
+    assert(seqs(changes) === '[1,2,3,4,5]', 'every insert gets the next sequence number');
+    assert(changes[0].key === 'key_0' && changes[0].value.i === 0 && changes[0].op === 'insert' && changes[0].ts >= before, 'change record of an insert');
+
+    // an update moves the key to the end of the feed
+    db_js.set('key_1', { i: 1, updated: true });
+    changes = db_js.changes({ since: 5 });
+    assert(changes.length === 1 && changes[0].seq === 6 && changes[0].key === 'key_1' && changes[0].op === 'update' && changes[0].value.updated === true, 'change record of an update');
+    assert(seqs(db_js.changes()) === '[1,3,4,5,6]', 'every key is returned with its latest write');
+
+    // deletes are not part of the feed
+    db_js.delete('key_3');
+    assert(seqs(db_js.changes()) === '[1,3,5,6]', 'deleted keys are not returned');
+
+    // limit and resume
+    assert(seqs(db_js.changes({ limit: 2 })) === '[1,3]', 'limit');
+    assert(seqs(db_js.changes({ since: 3, limit: 2 })) === '[5,6]', 'resume from the last sequence number');
+    assert(db_js.changes({ since: 6 }).length === 0, 'nothing after the last sequence number');
+
+    let error = null;
+    try {
+        db_js.changes({ since: -1 });
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'invalid since is rejected');
+    error = null;
+    try {
+        db_js.changes({ limit: 0 });
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'invalid limit is rejected');
+
+    // the changes move into archived files
+    for (let i = 5; i < 15; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+    }
+    db_js._persist();
+    await sleep(5);
+    assert(db_js._getFiles(false).length === 1, 'changes are archived');
+    db_js.close();
+
+    // a consumer resumes after a restart
+    db_js = new DBjs(config);
+    assert(db_js.meta.seq === 16, 'sequence number survives a restart');
+    let reads = db_js._file_cache_read_counter;
+    changes = db_js.changes({ since: 6 });
+    assert(db_js._file_cache_read_counter === reads + 1, 'the archived file is read once');
+    assert(changes.length === 10 && changes[0].key === 'key_5' && changes[9].value.i === 14, 'changes after restart are read from archived files');
+    db_js.set('key_5', { i: 5, updated: true });
+    changes = db_js.changes({ since: 16 });
+    assert(changes.length === 1 && changes[0].seq === 17 && changes[0].op === 'update', 'update of an archived key');
+
+    // batch writes and the set event carry the sequence numbers
+    let events = [];
+    db_js.on('set', (event) => events.push(event.seq));
+    db_js.batch([{ op: 'set', key: 'batch_1', value: 1 }, { op: 'set', key: 'batch_2', value: 2 }]);
+    assert(JSON.stringify(events) === '[18,19]' && seqs(db_js.changes({ since: 17 })) === '[18,19]', 'batch gets consecutive sequence numbers');
+
+    // a failed batch restores the sequence numbers of the undone updates
+    const update_file = db_js._update_file;
+    db_js._update_file = () => {
+        throw Error('disk full');
+    }
+    try {
+        db_js.batch([{ op: 'set', key: 'batch_1', value: 3 }, { op: 'set', key: 'key_6', value: 6 }]);
+    } catch (err) { }
+    db_js._update_file = update_file;
+    assert(seqs(db_js.changes({ since: 17 })) === '[18,19]' && db_js.get('batch_1') === 1, 'undone updates are not returned');
+
+    // only the last of several writes of a key is returned
+    let seq = db_js.meta.seq;
+    db_js.set('batch_1', 4);
+    db_js.set('batch_2', 5);
+    db_js.set('batch_1', 6);
+    changes = db_js.changes({ since: seq });
+    assert(changes.length === 2 && changes[0].key === 'batch_2' && changes[1].key === 'batch_1' && changes[1].value === 6, 'intermediate writes are not returned');
+
+    // repeated writes of the same keys do not grow the change log without bound
+    for (let i = 0; i < 3000; i++) {
+        db_js.set('batch_' + (i % 2 + 1), i);
+    }
+    assert(db_js._change_log.length <= 2 * db_js.index_size() + 1000 && db_js.changes({ since: seq }).length === 2, 'change log is trimmed');
+    db_js.close();
+
+    // databases without sequence numbers are numbered in insertion order
+    let index = JSON.parse(fs.readFileSync('./psi_db/index.json').toString());
+    for (let key in index) {
+        delete index[key].s;
+        delete index[key].u;
+    }
+    fs.writeFileSync('./psi_db/index.json', JSON.stringify(index));
+    let meta = JSON.parse(fs.readFileSync('./psi_db/meta.json').toString());
+    delete meta.seq;
+    fs.writeFileSync('./psi_db/meta.json', JSON.stringify(meta));
+    db_js = new DBjs(config);
+    changes = db_js.changes();
+    assert(db_js.meta.seq === 16 && changes.length === 16 && changes[0].key === 'key_0' && changes[15].key === 'batch_2', 'existing keys are numbered');
+    db_js.set('new', 1);
+    assert(db_js.changes({ since: 16 })[0].key === 'new', 'new writes continue the numbering');
+    db_js.close();
+
+    // async API
+    let async_db = await DBjs.open(config);
+    assert((await async_db.changes({ since: 16 })).length === 1, 'async changes()');
+    await async_db.close();
+
+    await exec('rm -rf ./psi_db/');
+}
+
+psi_tests()
@@ -0,0 +1,115 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the retention policy that removes the oldest archived files
+
+async function fill(db_js, from, to) {
+    for (let i = from; i < to; i++) {
+        db_js.set('key_' + i, { i: i, group: i % 2, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+}
+
+async function rho_tests() {
+    await exec('rm -rf ./rho_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './rho_db/',
+        flush_interval: 4,
+        debug: false,
+        indexes: ['group'],
+        retention_max_total_MB: 0.003,
+    }
+
+    let error = null;
+    try {
+        new DBjs(Object.assign({}, config, { retention_max_age_seconds: -1 }));
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'negative retention is rejected');
+
+    // every archived file takes about 1.1KB, at most two of them fit into 0.003MB
+    let db_js = new DBjs(config);
+    await fill(db_js, 0, 55);
+    let files = db_js._getFiles(false);
+    assert(files.length === 2, 'only the newest archived files are kept: ' + files.length);
+    assert(Object.keys(db_js.meta.archive).length === 2, 'removed files are removed from meta.json');
+    assert(db_js.index_size() === 25 && db_js.rindex_size() === 25, 'keys of removed files are removed from the index');
+    assert(db_js.get('key_29') === undefined && db_js.get('key_0') === undefined, 'removed keys return undefined');
+    assert(db_js.get('key_30').i === 30 && db_js.get('key_45').i === 45 && db_js.get('key_54').i === 54, 'remaining keys are readable');
+    assert(db_js._get_key_index_entry('key_30').i === 0, 'insertion indices start at 0 again');
+
+    let all = db_js.getn([0, 100]);
+    assert(all.length === 25 && all[0].i === 54 && all[24].i === 30, 'getn() returns the remaining values');
+    assert(JSON.stringify(db_js.getn([20, 25]).map((value) => value.i)) === '[34,33,32,31,30]', 'getn() index range after retention');
+    assert(db_js.find_by('group', 0).length === 13, 'secondary index drops removed keys');
+
+    // deleted keys and updates after retention
+    db_js.delete('key_31');
+    db_js.set('key_32', { i: 32, updated: true });
+    assert(db_js.get('key_32').updated === true && db_js.get('key_33').i === 33, 'updates in archived files after retention');
+    db_js.close();
+
+    db_js = new DBjs(config);
+    assert(db_js.index_size() === 24 && db_js.get('key_32').updated === true, 'database is consistent after reopening');
+    db_js.close();
+
+    // interrupted removal: the dropped archived file is still on disk
+    db_js = new DBjs(config);
+    const oldest = db_js._getFiles(false).pop();
+    db_js._remove_archive = () => {
+        throw Error('crash');
+    }
+    try {
+        await fill(db_js, 55, 65);
+    } catch (err) { }
+    db_js._release();
+    assert(fs.existsSync('./rho_db/' + oldest) && JSON.parse(fs.readFileSync('./rho_db/meta.json')).pending_drops[0] === oldest, 'dropped archived files are recorded in meta.json');
+    // the removal is completed also without the retention policy
+    db_js = new DBjs(Object.assign({}, config, { retention_max_total_MB: 0 }));
+    assert(!fs.existsSync('./rho_db/' + oldest) && db_js.meta.pending_drops === undefined, 'left over archived file is removed');
+    assert(db_js.get('key_59').i === 59 && db_js.get('key_30') === undefined && db_js.index_size() === 20, 'database is consistent after the interrupted removal');
+    db_js.close();
+
+    // archived files that are not registered in meta.json for other reasons are kept
+    fs.writeFileSync('./rho_db/dbjs_1000.json', '[1,2,3]');
+    try {
+        new DBjs(config).close();
+    } catch (err) { }
+    assert(fs.existsSync('./rho_db/dbjs_1000.json'), 'unregistered archived file is not removed');
+    fs.unlinkSync('./rho_db/dbjs_1000.json');
+
+    // without meta.json no archived file is removed
+    let archived = fs.readdirSync('./rho_db/').filter((file) => file.startsWith('dbjs_'));
+    fs.unlinkSync('./rho_db/meta.json');
+    try {
+        new DBjs(config).close();
+    } catch (err) { }
+    assert(archived.every((file) => fs.existsSync('./rho_db/' + file)), 'archived files are kept without meta.json');
+
+    await exec('rm -rf ./rho_db/');
+
+    // retention by age
+    let age_config = Object.assign({}, config, { retention_max_total_MB: 0, retention_max_age_seconds: 1 });
+    db_js = new DBjs(age_config);
+    await fill(db_js, 0, 20);
+    assert(db_js._getFiles(false).length === 2, 'recently archived files are kept');
+    await sleep(1200);
+    await fill(db_js, 20, 30);
+    assert(db_js._getFiles(false).length === 1, 'old archived files are removed');
+    assert(db_js.index_size() === 10 && db_js.get('key_25').i === 25 && db_js.get('key_5') === undefined, 'keys of old archived files are removed');
+    db_js.close();
+
+    await exec('rm -rf ./rho_db/');
+}
+
+rho_tests()
@@ -0,0 +1,68 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the in-memory index Map and reverse index array
+
+function read_json(file) {
+    return JSON.parse(fs.readFileSync('./sampi_db/' + file).toString());
+}
+
+async function sampi_tests() {
+    await exec('rm -rf ./sampi_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './sampi_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+    for (let i = 0; i < 20; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+    assert(db_js.index instanceof Map && Array.isArray(db_js.rindex), 'index is a Map and rindex an array');
+    assert(db_js.index_size() === 20 && db_js.rindex_size() === 20, 'index_size() and rindex_size()');
+
+    // keys that are properties of plain objects or look like numbers
+    db_js.set('constructor', 'c');
+    db_js.set('__proto__', 'p');
+    db_js.set('7', 'seven');
+    assert(db_js.get('constructor') === 'c' && db_js.get('__proto__') === 'p' && db_js.get('7') === 'seven', 'get() of special keys');
+    assert(db_js.get('toString') === undefined && db_js.index_size() === 23, 'inherited properties are not keys');
+
+    // deleted keys leave a hole in the reverse index
+    db_js.delete('key_15');
+    db_js.delete('key_3');
+    assert(db_js.index_size() === 21 && db_js.rindex_size() === 23 && db_js.rindex[15] === null, 'delete() keeps the reverse index slot');
+    assert(JSON.stringify(db_js.getn([0, 5]).map((value) => typeof value === 'object' ? value.i : value)) === '["seven","p","c",19,18]', 'getn() of the memory cache');
+    assert(db_js.getn([0, 21]).length === 21 && db_js.getn([0, 21]).every((value) => value.i !== 15 && value.i !== 3), 'getn() skips deleted keys');
+    db_js.close();
+
+    // index.json and rindex.json are stored as objects
+    let index = read_json('index.json');
+    let rindex = read_json('rindex.json');
+    assert(!Array.isArray(index) && index['constructor'].i === 20 && index['__proto__'].i === 21 && index['key_15'] === undefined, 'index.json is an object');
+    assert(!Array.isArray(rindex) && rindex['22'] === '7' && rindex['15'] === null, 'rindex.json is an object');
+
+    db_js = new DBjs(config);
+    assert(db_js.index_size() === 21 && db_js.rindex_size() === 23 && db_js.get('__proto__') === 'p' && db_js.get('key_3') === undefined, 'index after restart');
+    assert(db_js.getn([0, 21]).length === 21, 'getn() after restart');
+
+    // compact() closes the holes in the reverse index
+    db_js.compact();
+    assert(db_js.rindex_size() === 21 && db_js.rindex.every((key) => key !== null) && db_js.get('key_16').i === 16, 'compact() rebuilds the reverse index');
+    db_js.close();
+
+    await exec('rm -rf ./sampi_db/');
+}
+
+sampi_tests()
@@ -0,0 +1,170 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test repair() and repair_on_open
+
+async function fill(config) {
+    await exec('rm -rf ./san_db/');
+    let db_js = new DBjs(config);
+    for (let i = 0; i < 35; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+    db_js.delete('key_12');
+    db_js.close();
+}
+
+function opens(config) {
+    try {
+        new DBjs(config).close();
+    } catch (err) {
+        return false;
+    }
+    return true;
+}
+
+function all_values(db_js, deleted = []) {
+    for (let i = 0; i < 35; i++) {
+        const value = db_js.get('key_' + i);
+        if (deleted.includes(i) ? value !== undefined : (!value || value.i !== i)) {
+            return false;
+        }
+    }
+    db_js._consistency_checks();
+    return db_js.index_size() === 35 - deleted.length;
+}
+
+function read_meta() {
+    return JSON.parse(fs.readFileSync('./san_db/meta.json').toString());
+}
+
+async function san_tests() {
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './san_db/',
+        flush_interval: 4,
+        debug: false,
+        indexes: ['i'],
+    }
+
+    let error = null;
+    try {
+        new DBjs(Object.assign({}, config, { read_only: true, repair_on_open: true }));
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'repair_on_open cannot be used in read-only mode');
+
+    // a consistent database needs no repair
+    await fill(config);
+    let report = DBjs.repair('./san_db/', config);
+    assert(report.fixed.length === 0 && report.unrecoverable.length === 0 && report.quarantined.length === 0, 'nothing to repair: ' + JSON.stringify(report));
+
+    // broken rindex.json
+    fs.writeFileSync('./san_db/rindex.json', '{"0": "key_0", "1": ');
+    assert(!opens(config), 'broken rindex.json fails to open');
+    let db_js = new DBjs(Object.assign({}, config, { repair_on_open: true }));
+    assert(db_js.repair_report.fixed.some((message) => message.includes('rindex.json')) && db_js.repair_report.unrecoverable.length === 0, 'rindex.json is rebuilt: ' + JSON.stringify(db_js.repair_report));
+    assert(all_values(db_js, [12]), 'all values after rebuilding rindex.json');
+    assert(db_js.find_by('i', 20).length === 1, 'secondary index after repair');
+    db_js.close();
+
+    // archived file missing in meta.json and wrong size in meta.json
+    let meta = read_meta();
+    let files = Object.keys(meta.archive);
+    delete meta.archive[files[1]];
+    meta.archive[files[2]].size += 3;
+    fs.writeFileSync('./san_db/meta.json', JSON.stringify(meta));
+    assert(!opens(config), 'inconsistent meta.json fails to open');
+    report = DBjs.repair('./san_db/', config);
+    assert(report.fixed.includes(`registered ${files[1]} in meta.json`) && report.fixed.includes(`size of ${files[2]} in meta.json: 13 -> 10`), 'sizes in meta.json are rebuilt: ' + JSON.stringify(report));
+    assert(JSON.stringify(Object.keys(read_meta().archive)) === JSON.stringify(files) && read_meta().seq === meta.seq, 'archived files are registered in order, other fields are kept');
+    db_js = new DBjs(config);
+    assert(all_values(db_js, [12]), 'all values after rebuilding meta.json');
+    db_js.close();
+
+    // the oldest archived file missing in meta.json is kept and registered
+    meta = read_meta();
+    delete meta.archive[files[0]];
+    fs.writeFileSync('./san_db/meta.json', JSON.stringify(meta));
+    report = DBjs.repair('./san_db/', config);
+    assert(report.fixed.includes(`registered ${files[0]} in meta.json`) && report.unrecoverable.length === 0 && report.quarantined.length === 0, 'oldest archived file is registered: ' + JSON.stringify(report));
+    assert(fs.existsSync('./san_db/' + files[0]) && JSON.stringify(Object.keys(read_meta().archive)) === JSON.stringify(files), 'oldest archived file is kept');
+    db_js = new DBjs(config);
+    assert(all_values(db_js, [12]), 'all values after registering the oldest archived file');
+    db_js.close();
+
+    // broken index.json, keys are restored from rindex.json
+    const c = JSON.parse(fs.readFileSync('./san_db/index.json').toString())['key_25'].c;
+    fs.writeFileSync('./san_db/index.json', 'broken');
+    report = DBjs.repair('./san_db/', config);
+    assert(report.fixed.includes('index.json cannot be parsed and is rebuilt') && report.fixed.includes('restored 34 keys from rindex.json'), 'index.json is rebuilt from rindex.json: ' + JSON.stringify(report));
+    db_js = new DBjs(config);
+    assert(all_values(db_js, [12]), 'all values after rebuilding index.json');
+    assert(db_js.index.get('key_25').c <= c && db_js.index.get('key_25').f === files[2].slice('dbjs_'.length), 'creation time of restored keys is the time of their file');
+    db_js.close();
+
+    // unparsable archived file is quarantined
+    await fill(config);
+    files = Object.keys(read_meta().archive);
+    fs.writeFileSync('./san_db/' + files[1], '[{"i": 10, "padding": ');
+    report = DBjs.repair('./san_db/', config);
+    assert(JSON.stringify(report.quarantined) === JSON.stringify([files[1]]) && fs.existsSync('./san_db/quarantine/' + files[1]) && !fs.existsSync('./san_db/' + files[1]), 'unparsable archived file is quarantined: ' + JSON.stringify(report));
+    assert(report.unrecoverable.length === 9 && report.unrecoverable[0].includes('missing or quarantined') && report.fixed.includes(`removed ${files[1]} from meta.json`), 'keys of the quarantined file are unrecoverable');
+    db_js = new DBjs(config);
+    let lost = [10, 11, 12, 13, 14, 15, 16, 17, 18, 19];
+    assert(all_values(db_js, lost), 'values of the other files are kept');
+    assert(db_js.getn([0, 1])[0].i === 34 && db_js.getn([24, 25])[0].i === 0, 'insertion indices are rebuilt');
+    db_js.set('after_repair', 1);
+    db_js.close();
+    db_js = new DBjs(config);
+    assert(db_js.get('after_repair') === 1, 'database works after repair');
+    db_js.close();
+
+    // unparsable memory cache file is quarantined, older memory cache files are archived
+    await fill(config);
+    files = Object.keys(read_meta().archive);
+    // close() archived the memory cache, its archived file becomes the memory cache file again
+    fs.unlinkSync('./san_db/' + fs.readdirSync('./san_db/').find((file) => /^\d+\.json$/.test(file)));
+    const cache_file = files[3].slice('dbjs_'.length);
+    fs.unlinkSync('./san_db/' + files[3]);
+    fs.writeFileSync('./san_db/' + cache_file, '[broken');
+    fs.renameSync('./san_db/' + files[2], './san_db/' + files[2].slice('dbjs_'.length));
+    db_js = new DBjs(Object.assign({}, config, { repair_on_open: true }));
+    report = db_js.repair_report;
+    assert(JSON.stringify(report.quarantined) === JSON.stringify([cache_file]) && report.fixed.includes(`archived the memory cache file ${files[2].slice('dbjs_'.length)}`), 'memory cache files are repaired: ' + JSON.stringify(report));
+    assert(report.unrecoverable.length === 5 && all_values(db_js, [12, 30, 31, 32, 33, 34]), 'values of the quarantined memory cache file are lost');
+    assert(db_js.cache.length === 0 && db_js.cache_file_name !== cache_file, 'a new memory cache file is created');
+
+    // repair() of an open database
+    report = db_js.repair();
+    assert(report.fixed.length === 0 && report.unrecoverable.length === 0 && report.quarantined.length === 0, 'repair() of a consistent open database');
+    db_js.close();
+
+    let reader = new DBjs(Object.assign({}, config, { read_only: true }));
+    error = null;
+    try {
+        reader.repair();
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null && error.message.includes('ReadOnly'), 'repair() throws in read-only mode');
+    reader.close();
+
+    // async API
+    let async_db = await DBjs.open(config);
+    report = await async_db.repair();
+    assert(report.fixed.length === 0, 'async repair()');
+    await async_db.close();
+
+    await exec('rm -rf ./san_db/');
+}
+
+san_tests()
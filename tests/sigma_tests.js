@@ -0,0 +1,111 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test named collections inside one database directory
+
+async function sigma_tests() {
+    await exec('rm -rf ./sigma_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './sigma_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let listeners = process.listenerCount('SIGINT');
+    let db_js = new DBjs(config);
+    let users = db_js.collection('users');
+    let events = db_js.collection('events');
+
+    assert(db_js.collection('users') === users, 'collection() returns the open collection');
+    assert(process.listenerCount('SIGINT') === listeners + 1, 'collections do not install kill handlers');
+    assert(users.flush_interval_id === undefined, 'collections do not start a flush interval');
+
+    let error = null;
+    try {
+        db_js.collection('../escape');
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'invalid collection names are rejected');
+
+    error = null;
+    try {
+        users.collection('nested');
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null, 'collections cannot be nested');
+
+    // separate keyspaces
+    db_js.set('key', 'root');
+    users.set('key', { name: 'anna' });
+    events.set('key', { type: 'login' });
+    assert(db_js.get('key') === 'root' && users.get('key').name === 'anna' && events.get('key').type === 'login', 'collections have separate keyspaces');
+    assert(db_js.index_size() === 1 && users.index_size() === 1 && events.index_size() === 1, 'collections have separate indices');
+
+    // full API on collections
+    for (let i = 0; i < 25; i++) {
+        events.set('event_' + i, { i: i, type: i % 2 === 0 ? 'click' : 'view', padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            events._persist();
+            await sleep(5);
+        }
+    }
+    assert(fs.readdirSync('./sigma_db/collections/events/').filter((file) => file.startsWith('dbjs_')).length === 2, 'collections have their own archived files');
+    assert(db_js._getFiles(false).length === 0, 'archived files of collections are not part of the database');
+    assert(events.get('event_3').i === 3 && events.getn([0, 5]).length === 5, 'get() and getn() on a collection');
+    assert(events.filter({ type: 'click' }).length === 13, 'filter() on a collection');
+    let walked = 0;
+    events.walk([(data) => walked += data.length]);
+    assert(walked === 26, 'walk() on a collection');
+    assert(events.delete('event_4') === true && events.get('event_4') === undefined, 'delete() on a collection');
+
+    assert(JSON.stringify(db_js.collections()) === '["events","users"]', 'collections() lists all collections');
+
+    // the flush interval of the database persists all collections
+    users.set('bob', { name: 'bob' });
+    await sleep(4500);
+    let index = JSON.parse(fs.readFileSync('./sigma_db/collections/users/index.json').toString());
+    assert(index['bob'] !== undefined, 'flush interval persists collections');
+
+    // closing the database closes all collections
+    db_js.close();
+    assert(Object.keys(db_js._collections).length === 0, 'close() closes all collections');
+
+    db_js = new DBjs(config);
+    assert(db_js.get('key') === 'root', 'database after reopening');
+    events = db_js.collection('events');
+    assert(events.get('key').type === 'login' && events.get('event_24').i === 24 && events.index_size() === 25, 'collection after reopening');
+
+    // a closed collection can be opened again
+    events.close();
+    assert(db_js._collections['events'] === undefined, 'closed collection is removed from the open collections');
+    assert(db_js.collection('events').get('event_1').i === 1, 'collection can be opened again');
+
+    // drop collections
+    assert(db_js.drop_collection('events') === true, 'drop_collection() removes an open collection');
+    assert(db_js.drop_collection('users') === true, 'drop_collection() removes a closed collection');
+    assert(db_js.drop_collection('missing') === false, 'drop_collection() of a missing collection');
+    assert(db_js.collections().length === 0 && db_js._collections['events'] === undefined, 'no collections left');
+    assert(db_js.collection('events').index_size() === 0, 'dropped collection is empty when created again');
+    db_js.close();
+
+    // closing the async API persists and closes the open collections
+    let async_db = await DBjs.open(config);
+    async_db.db.collection('events').set('x', 1);
+    await async_db.close();
+    assert(!fs.existsSync('./sigma_db/collections/events/dbjs.lock') && Object.keys(async_db.db._collections).length === 0, 'async close() closes all collections');
+    db_js = new DBjs(config);
+    assert(db_js.collection('events').get('x') === 1, 'async close() persists the collections');
+    db_js.close();
+
+    await exec('rm -rf ./sigma_db/');
+}
+
+sigma_tests()
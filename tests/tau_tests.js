@@ -0,0 +1,103 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const os = require('os');
+const util = require('util');
+const { spawn } = require('child_process');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the lockfile that prevents two instances from opening the same database
+
+function open_fails(config) {
+    try {
+        new DBjs(config).close();
+    } catch (err) {
+        return err.message.includes('LockError');
+    }
+    return false;
+}
+
+async function tau_tests() {
+    await exec('rm -rf ./tau_db/');
+
+    let config = {
+        database_path: './tau_db/',
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+    let lock = JSON.parse(fs.readFileSync('./tau_db/dbjs.lock').toString());
+    assert(lock.pid === process.pid && lock.hostname === os.hostname(), 'lockfile contains pid and hostname');
+    assert(open_fails(config), 'second instance in the same process cannot open the database');
+    db_js.set('key', 'value');
+    db_js.close();
+    assert(!fs.existsSync('./tau_db/dbjs.lock'), 'close() releases the lock');
+
+    db_js = new DBjs(config);
+    assert(db_js.get('key') === 'value', 'database can be opened again after close()');
+    let events = db_js.collection('events');
+    assert(fs.existsSync('./tau_db/collections/events/dbjs.lock'), 'collections are locked');
+    assert(open_fails({ database_path: './tau_db/collections/events/', debug: false }), 'open collection cannot be opened directly');
+    db_js.close();
+    assert(!fs.existsSync('./tau_db/collections/events/dbjs.lock'), 'closing the database releases the locks of collections');
+
+    // stale lock of a process that does not run anymore
+    let child = spawn('node', ['-e', '']);
+    await new Promise((resolve) => child.on('exit', resolve));
+    fs.writeFileSync('./tau_db/dbjs.lock', JSON.stringify({ pid: child.pid, hostname: os.hostname() }));
+    db_js = new DBjs(config);
+    assert(JSON.parse(fs.readFileSync('./tau_db/dbjs.lock').toString()).pid === process.pid, 'stale lock is taken over');
+    db_js.close();
+
+    // a lockfile that cannot be parsed is stale once it is old enough
+    fs.writeFileSync('./tau_db/dbjs.lock', '');
+    assert(open_fails(config), 'recently written lockfile that cannot be parsed is respected');
+    const past = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync('./tau_db/dbjs.lock', past, past);
+    db_js = new DBjs(config);
+    assert(JSON.parse(fs.readFileSync('./tau_db/dbjs.lock').toString()).pid === process.pid, 'old lockfile that cannot be parsed is taken over');
+    assert(fs.readdirSync('./tau_db/').filter((file) => file.startsWith('dbjs.lock')).length === 1, 'no temporary lockfiles are left');
+    db_js.close();
+
+    // a lockfile that was taken over is not removed by its previous owner
+    db_js = new DBjs(config);
+    fs.writeFileSync('./tau_db/dbjs.lock', JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: 'other' }));
+    db_js.close();
+    assert(fs.existsSync('./tau_db/dbjs.lock'), 'close() keeps a lockfile of another instance');
+    fs.unlinkSync('./tau_db/dbjs.lock');
+
+    // lock of another host cannot be checked
+    fs.writeFileSync('./tau_db/dbjs.lock', JSON.stringify({ pid: 1, hostname: 'other-host' }));
+    assert(open_fails(config), 'lock of another host is respected');
+    fs.unlinkSync('./tau_db/dbjs.lock');
+
+    // lock of another process
+    const script = `
+        const DBjs = require('../dbjs').DBjs;
+        let db_js = new DBjs({ database_path: './tau_db/', debug: false });
+        console.log('opened');
+        setTimeout(() => {}, 60000);
+    `;
+    child = spawn('node', ['-e', script]);
+    await new Promise((resolve) => child.stdout.once('data', resolve));
+    assert(open_fails(config), 'database locked by another process cannot be opened');
+    child.kill('SIGKILL');
+    await new Promise((resolve) => child.on('exit', resolve));
+    db_js = new DBjs(config);
+    assert(db_js.get('key') === 'value', 'database can be opened after the other process was killed');
+    db_js.close();
+
+    // a failing constructor releases the lock
+    fs.writeFileSync('./tau_db/index.json', '{broken');
+    let error = null;
+    try {
+        new DBjs(config);
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null && !fs.existsSync('./tau_db/dbjs.lock'), 'failing constructor releases the lock');
+
+    await exec('rm -rf ./tau_db/');
+}
+
+tau_tests()
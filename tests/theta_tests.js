@@ -0,0 +1,92 @@
+const DBjs = require('../dbjs').DBjs;
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, randomString} = require('./test_utils');
+
+// test the Promise-based API and that operations
+// are queued behind an in-progress _persist_async()
+
+async function theta_tests() {
+    await exec('rm -rf ./theta_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './theta_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = await DBjs.open(config);
+    let items = [];
+
+    for (let i = 0; i < 10; i++) {
+        let item = [randomString(7), randomString(200)];
+        items.push(item);
+        assert(await db_js.set(item[0], item[1]) === true, 'async set() resolves to true');
+    }
+
+    assert(await db_js.get(items[3][0]) === items[3][1], 'async get() from memory cache');
+    assert(await db_js.get('unknown') === undefined, 'async get() of unknown key resolves to undefined');
+
+    // a synchronous operation cannot run during the asynchronous persist
+    let persisting = db_js.db._persist_async();
+    let sync_error = null;
+    try {
+        db_js.db.set('sync', 1);
+    } catch (err) {
+        sync_error = err;
+    }
+    assert(sync_error !== null, 'sync set() throws during _persist_async()');
+    await persisting;
+
+    for (let i = 0; i < 10; i++) {
+        let item = [randomString(7), randomString(200)];
+        items.push(item);
+        await db_js.set(item[0], item[1]);
+    }
+
+    // queue a persist that archives the memory cache and read right behind it
+    let persisted = db_js._enqueue(() => db_js.db._persist_async());
+    let value = db_js.get(items[15][0]);
+    let all = db_js.getn([0, 100]);
+
+    await persisted;
+    assert(db_js.db.cache_size() === 0 && db_js.db._getFiles(false).length === 2, 'memory cache was archived asynchronously');
+    assert(await value === items[15][1], 'queued get() reads the archived value');
+    assert((await all).length === 20, 'queued getn() returns all values');
+    assert(db_js.db._file_cache_read_counter === 3, 'archived files were read three times: ' + db_js.db._file_cache_read_counter);
+
+    assert(await db_js.delete(items[0][0]) === true, 'async delete() resolves to true');
+    assert((await db_js.getn([0, 100])).length === 19, 'async getn() hides deleted values');
+
+    await db_js.set('last', 'value');
+    await db_js.close();
+
+    // the sync API opens the state written by the async API
+    let sync_db_js = new DBjs(config);
+    assert(sync_db_js.get('last') === 'value', 'sync get() after async close()');
+    assert(sync_db_js.get(items[0][0]) === undefined, 'async delete() was persisted');
+    assert(sync_db_js.get(items[9][0]) === items[9][1], 'sync get() of archived value');
+
+    // a failing synchronous persist or compact() releases the lock
+    const write_file = sync_db_js._write_file;
+    sync_db_js._write_file = () => {
+        throw Error('disk full');
+    }
+    let failed = 0;
+    for (let operation of ['_persist', 'compact']) {
+        try {
+            sync_db_js[operation]();
+        } catch (err) {
+            failed++;
+        }
+    }
+    sync_db_js._write_file = write_file;
+    assert(failed === 2 && sync_db_js._persist_lock === false && sync_db_js.set('after_failure', 1) === true, 'failed persist releases the lock');
+    sync_db_js.close();
+
+    await exec('rm -rf ./theta_db/');
+}
+
+theta_tests()
@@ -0,0 +1,117 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the read-only mode next to a writing instance
+
+function throws(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err.message.includes('ReadOnly');
+    }
+    return false;
+}
+
+function snapshot(dir) {
+    let state = {};
+    for (let file of fs.readdirSync(dir)) {
+        state[file] = fs.statSync(dir + file).mtimeMs;
+    }
+    return JSON.stringify(state);
+}
+
+async function upsilon_tests() {
+    await exec('rm -rf ./upsilon_db/ ./upsilon_empty_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './upsilon_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+    let read_only_config = Object.assign({}, config, { read_only: true });
+
+    assert(throws(() => new DBjs(Object.assign({}, read_only_config, { database_path: './upsilon_missing_db/' }))), 'read-only mode does not create the database folder');
+
+    fs.mkdirSync('./upsilon_empty_db/');
+    let empty = new DBjs(Object.assign({}, read_only_config, { database_path: './upsilon_empty_db/' }));
+    assert(fs.readdirSync('./upsilon_empty_db/').length === 0, 'read-only mode does not create a cache file');
+    assert(empty.get('key') === undefined && empty.getn([0, 10]).length === 0, 'empty read-only database');
+    empty.close();
+
+    let writer = new DBjs(config);
+    for (let i = 0; i < 15; i++) {
+        writer.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i === 9) {
+            writer._persist();
+            await sleep(5);
+        }
+    }
+    writer._flush();
+
+    // a reader can open a database that is locked by a writer
+    let listeners = process.listenerCount('SIGINT');
+    let reader = new DBjs(read_only_config);
+    assert(process.listenerCount('SIGINT') === listeners, 'read-only mode installs no kill handlers');
+    assert(reader.flush_interval_id === undefined, 'read-only mode starts no flush interval');
+    assert(JSON.parse(fs.readFileSync('./upsilon_db/dbjs.lock').toString()).pid === process.pid, 'the writer keeps its lock');
+    assert(reader.get('key_3').i === 3 && reader.get('key_12').i === 12, 'get() in read-only mode');
+    assert(reader.getn([0, 100]).length === 15, 'getn() in read-only mode');
+    assert(reader.filter({ 'i': { '$lt': 5 } }).length === 5, 'filter() in read-only mode');
+
+    assert(throws(() => reader.set('key', 'value')), 'set() throws in read-only mode');
+    assert(throws(() => reader.delete('key_1')), 'delete() throws in read-only mode');
+    assert(throws(() => reader.compact()), 'compact() throws in read-only mode');
+    assert(throws(() => reader.create_index('i')), 'create_index() throws in read-only mode');
+    assert(throws(() => writer.refresh()), 'refresh() is only available in read-only mode');
+
+    // the reader sees new writes after refresh()
+    writer.set('key_15', { i: 15 });
+    writer.set('key_3', { i: 3, updated: true });
+    writer._flush();
+    assert(reader.get('key_15') === undefined, 'reader keeps its view until refresh()');
+    reader.refresh();
+    assert(reader.get('key_15').i === 15 && reader.get('key_3').updated === true, 'refresh() loads the flushed state');
+
+    // and after the writer archived the memory cache
+    writer._persist();
+    await sleep(5);
+    for (let i = 16; i < 20; i++) {
+        writer.set('key_' + i, { i: i });
+    }
+    writer._flush();
+    reader.refresh();
+    assert(reader._getFiles(false).length === 2 && reader.cache_size() === 4, 'refresh() after archiving');
+    assert(reader.getn([0, 100]).length === 20 && reader.get('key_14').i === 14, 'values after archiving');
+
+    // an inconsistent state keeps the previous view
+    let index = fs.readFileSync('./upsilon_db/index.json');
+    fs.writeFileSync('./upsilon_db/index.json', '{}');
+    let error = null;
+    try {
+        reader.refresh();
+    } catch (err) {
+        error = err;
+    }
+    assert(error !== null && reader.get('key_19').i === 19, 'failed refresh() keeps the previous state');
+    fs.writeFileSync('./upsilon_db/index.json', index);
+
+    let before = snapshot('./upsilon_db/');
+    reader.close();
+    assert(snapshot('./upsilon_db/') === before, 'closing a reader does not write');
+    writer.close();
+
+    // async API
+    let async_reader = await DBjs.open(read_only_config);
+    assert((await async_reader.get('key_19')).i === 19, 'async get() in read-only mode');
+    await async_reader.refresh();
+    await async_reader.close();
+
+    await exec('rm -rf ./upsilon_db/ ./upsilon_empty_db/');
+}
+
+upsilon_tests()
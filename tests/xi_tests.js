@@ -0,0 +1,136 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {assert, sleep} = require('./test_utils');
+
+// test the ndjson archive format, seek reads and the migration between formats
+
+async function fill(db_js, from, to) {
+    for (let i = from; i < to; i++) {
+        db_js.set('key_' + i, { i: i, padding: 'x'.repeat(100) });
+        if (i % 10 === 9) {
+            db_js._persist();
+            await sleep(5);
+        }
+    }
+}
+
+async function xi_tests() {
+    await exec('rm -rf ./xi_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './xi_db/',
+        flush_interval: 4,
+        debug: false,
+        archive_format: 'ndjson',
+    }
+
+    let db_js = new DBjs(config);
+    await fill(db_js, 0, 35);
+
+    let on_disk = fs.readdirSync('./xi_db/');
+    let segments = on_disk.filter((file) => file.endsWith('.ndjson'));
+    assert(segments.length === 3, 'archived files are stored as segments');
+    assert(on_disk.filter((file) => file.endsWith('.ndjson.idx')).length === 3, 'every segment has an offset table');
+    assert(fs.statSync('./xi_db/' + segments[0] + '.idx').size === 11 * 8, 'offset tables have 8 bytes per offset');
+    assert(db_js._getFiles(false).every((file) => file.endsWith('.json')), '_getFiles() lists segments with their archived name');
+
+    let lines = fs.readFileSync('./xi_db/' + segments[0]).toString().split('\n').filter((line) => line.length > 0);
+    assert(lines.length === 10 && lines.every((line) => JSON.parse(line).padding.length === 100), 'segments contain one JSON value per line');
+
+    // seek reads
+    db_js._file_cache_read_counter = 0;
+    assert(db_js.get('key_3').i === 3 && db_js.get('key_17').i === 17 && db_js.get('key_29').i === 29, 'get() reads values from segments');
+    assert(db_js._file_cache_read_counter === 3, 'get() reads only one value per segment');
+    assert((await db_js._get_async('key_12')).i === 12, 'async get() reads values from segments');
+
+    let all = db_js.getn([0, 100]);
+    assert(all.length === 35 && all[0].i === 34 && all[34].i === 0, 'getn() across segments and memory cache');
+    assert(db_js.filter({ 'i': { '$lt': 5 } }).length === 5, 'filter() reads segments');
+
+    // in place update with a smaller value keeps the segment size
+    let file = db_js._resolve_file(db_js.config.file_prefix + db_js._get_key_index_entry('key_4').f);
+    let size = fs.statSync('./xi_db/' + file).size;
+    db_js.set('key_4', { i: 4, small: true });
+    assert(fs.statSync('./xi_db/' + file).size === size, 'smaller value is updated in place');
+    assert(db_js.get('key_4').small === true, 'get() returns value updated in place');
+
+    // update with a larger value rewrites the segment
+    db_js.set('key_6', { i: 6, padding: 'y'.repeat(300) });
+    assert(fs.statSync('./xi_db/' + file).size > size, 'larger value rewrites the segment');
+    assert(db_js.get('key_6').padding.length === 300 && db_js.get('key_4').small === true && db_js.get('key_7').i === 7, 'values after rewrite');
+    db_js.close();
+
+    // a missing offset table is rebuilt, in memory for read-only instances
+    fs.unlinkSync('./xi_db/' + file + '.idx');
+    let reader = new DBjs(Object.assign({}, config, { read_only: true }));
+    assert(reader.get('key_5').i === 5 && !fs.existsSync('./xi_db/' + file + '.idx'), 'read-only instance does not write the offset table');
+    reader.close();
+    db_js = new DBjs(config);
+    assert(db_js.get('key_5').i === 5 && fs.existsSync('./xi_db/' + file + '.idx'), 'missing offset table is rebuilt');
+
+    // offset tables in JSON are rebuilt
+    let idx = fs.readFileSync('./xi_db/' + file + '.idx');
+    fs.writeFileSync('./xi_db/' + file + '.idx', JSON.stringify([0, 10, 20]));
+    assert(db_js.get('key_8').i === 8 && fs.readFileSync('./xi_db/' + file + '.idx').equals(idx), 'JSON offset table is rebuilt');
+
+    // a line torn by a crash during an in-place update is written again from the redo file
+    const write_line = db_js._write_line;
+    db_js._write_line = function (segment, position, line) {
+        write_line.call(this, segment, position, line.slice(0, 5));
+        throw Error('crash');
+    }
+    try {
+        db_js.set('key_5', { i: 5, torn: true });
+    } catch (err) { }
+    db_js._release();
+    assert(fs.existsSync('./xi_db/' + file + '.redo'), 'redo file of the interrupted update');
+    db_js = new DBjs(config);
+    assert(db_js.get('key_5').torn === true && !fs.existsSync('./xi_db/' + file + '.redo'), 'interrupted in-place update is completed');
+
+    // interrupted archiving: the segment was written, the memory cache file not removed yet
+    let newest = db_js._getFiles(false)[0];
+    fs.writeFileSync('./xi_db/' + newest.slice('dbjs_'.length), '[]');
+    db_js.close();
+    db_js = new DBjs(config);
+    assert(!fs.existsSync('./xi_db/' + newest.slice('dbjs_'.length)), 'archived memory cache file is removed');
+    assert(db_js.getn([0, 100]).length === 35, 'database is consistent after recovery');
+    db_js.close();
+
+    // migration from ndjson to json and back
+    let json_db = new DBjs(Object.assign({}, config, { archive_format: 'json' }));
+    let before = JSON.stringify(json_db.getn([0, 100]));
+    assert(json_db.migrate_archives() === 4, 'migrate_archives() converts all segments');
+    on_disk = fs.readdirSync('./xi_db/');
+    assert(on_disk.filter((file) => file.endsWith('.ndjson') || file.endsWith('.idx')).length === 0, 'no segments left after migration');
+    assert(JSON.stringify(json_db.getn([0, 100])) === before, 'getn() returns the same values after migration');
+
+    // both formats can be mixed
+    await fill(json_db, 35, 40);
+    json_db.close();
+
+    db_js = new DBjs(config);
+    assert(db_js.get('key_36').i === 36 && db_js.get('key_6').padding.length === 300, 'json archives are readable in ndjson mode');
+    await fill(db_js, 40, 50);
+    assert(fs.readdirSync('./xi_db/').filter((file) => file.endsWith('.ndjson')).length === 1, 'new archives are stored as segments');
+    assert(db_js.getn([0, 100]).length === 50, 'getn() across both formats');
+    assert(db_js.migrate_archives() === 5, 'migrate_archives() converts json archives to segments');
+    assert(db_js.get('key_36').i === 36 && db_js.getn([0, 100]).length === 50, 'values after migration to segments');
+
+    // compaction writes segments
+    db_js.delete('key_20');
+    db_js.compact();
+    assert(db_js.get('key_20') === undefined && db_js.get('key_21').i === 21 && db_js.getn([0, 100]).length === 49, 'compact() with segments');
+    db_js.close();
+
+    db_js = new DBjs(config);
+    assert(db_js.get('key_49').i === 49 && db_js.get('key_0').i === 0, 'database is consistent after reopening');
+    db_js.close();
+
+    await exec('rm -rf ./xi_db/');
+}
+
+xi_tests()
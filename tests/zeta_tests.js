@@ -0,0 +1,122 @@
+const DBjs = require('../dbjs').DBjs;
+const fs = require('fs');
+const util = require('util');
+const exec = util.promisify(require('child_process').exec);
+const {correct_order, assert, randomString} = require('./test_utils');
+
+// test that compact() merges small archived files, drops deleted values
+// and keeps getn() results unchanged
+
+async function zeta_tests() {
+    await exec('rm -rf ./zeta_db/');
+
+    let config = {
+        persist_after_MB: 0.001,
+        persist_after_seconds: 7,
+        database_path: './zeta_db/',
+        flush_interval: 4,
+        debug: false,
+    }
+
+    let db_js = new DBjs(config);
+    let items = [];
+
+    // create four small archived files
+    for (let j = 0; j < 4; j++) {
+        for (let i = 0; i < 10; i++) {
+            let item = [randomString(7), randomString(200)];
+            items.push(item);
+            db_js.set(item[0], item[1]);
+        }
+        db_js._persist();
+    }
+
+    assert(db_js._getFiles(false).length === 4, 'four archived files exist');
+    db_js.close();
+
+    config.persist_after_MB = 1;
+    db_js = new DBjs(config);
+
+    // and some values in the memory cache
+    for (let i = 0; i < 5; i++) {
+        let item = [randomString(7), randomString(200)];
+        items.push(item);
+        db_js.set(item[0], item[1]);
+    }
+
+    let deleted = [items[2], items[15], items[31], items[42]];
+    for (let item of deleted) {
+        db_js.delete(item[0]);
+    }
+
+    const before = db_js.getn([0, 1000]);
+    const before_range = db_js.getn([3, 17]);
+    const ts_range = [db_js._get_key_index_entry(items[0][0]).c - 1, Date.now() + 1000];
+    const before_time = db_js.getn(null, ts_range);
+
+    let result = db_js.compact();
+    assert(result.files_before === 4 && result.files_after === 1, 'compact() merged four archived files into one: ' + JSON.stringify(result));
+    assert(result.dropped === 4, 'compact() dropped the deleted values');
+    assert(db_js._getFiles(false).length === 1, 'one archived file remains');
+    assert(db_js.index_size() === db_js.rindex_size(), 'no tombstones remain after compaction');
+
+    const after = db_js.getn([0, 1000]);
+    assert(JSON.stringify(before) === JSON.stringify(after), 'getn() returns the same values after compaction');
+    assert(JSON.stringify(before_range) === JSON.stringify(db_js.getn([3, 17])), 'getn() index range is unchanged after compaction');
+    assert(JSON.stringify(before_time) === JSON.stringify(db_js.getn(null, ts_range)), 'getn() time range is unchanged after compaction');
+
+    let live = items.filter((item) => !deleted.includes(item));
+    let all_found = live.every((item) => db_js.get(item[0]) === item[1]);
+    assert(all_found, 'get() returns all live values after compaction');
+    correct_order(db_js, live.map((item) => item[0]));
+
+    // updating an archived value after compaction writes to the merged file
+    db_js.set(items[0][0], 'updated');
+    assert(db_js.get(items[0][0]) === 'updated', 'update of compacted archived value works');
+    db_js.close();
+
+    // the compacted database passes the consistency checks
+    let new_db_js = new DBjs(config);
+    assert(new_db_js.get(items[0][0]) === 'updated', 'updated value survives restart');
+    assert(new_db_js.get(items[44][0]) === items[44][1], 'cached value survives restart');
+    assert(new_db_js.getn([0, 1000]).length === live.length, 'getn() returns all live values after restart');
+
+    // a crash before compact.json is written keeps the old files
+    for (let i = 0; i < 3; i++) {
+        new_db_js.delete(live[i][0]);
+    }
+    const expected = new_db_js.getn([0, 1000]);
+    const write_file = new_db_js._write_file;
+    new_db_js._write_file = function (file_path, contents) {
+        if (file_path.endsWith('compact.json')) {
+            throw Error('crash');
+        }
+        return write_file.call(this, file_path, contents);
+    }
+    try {
+        new_db_js.compact();
+    } catch (err) { }
+    new_db_js._release();
+    new_db_js = new DBjs(config);
+    assert(!fs.existsSync('./zeta_db/compact') && new_db_js.rindex_size() === live.length, 'interrupted compaction is discarded');
+    assert(JSON.stringify(new_db_js.getn([0, 1000])) === JSON.stringify(expected), 'values after a discarded compaction');
+
+    // a crash after compact.json is written completes the compaction on open
+    new_db_js._complete_compaction = () => {
+        throw Error('crash');
+    }
+    try {
+        new_db_js.compact();
+    } catch (err) { }
+    new_db_js._release();
+    assert(fs.existsSync('./zeta_db/compact.json'), 'compact.json marks the interrupted compaction');
+    new_db_js = new DBjs(config);
+    assert(!fs.existsSync('./zeta_db/compact.json') && !fs.existsSync('./zeta_db/compact'), 'interrupted compaction is completed');
+    assert(new_db_js.rindex_size() === live.length - 3 && JSON.stringify(new_db_js.getn([0, 1000])) === JSON.stringify(expected), 'values after a completed compaction');
+    assert(new_db_js.get(live[5][0]) === live[5][1] && new_db_js.get(live[0][0]) === undefined, 'get() after a completed compaction');
+    new_db_js.close();
+
+    await exec('rm -rf ./zeta_db/');
+}
+
+zeta_tests()